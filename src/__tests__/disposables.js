@@ -1,8 +1,32 @@
-import { resetContext, kea, actions, listeners } from "kea";
+import {
+  resetContext,
+  kea,
+  actions,
+  listeners,
+  reducers,
+  props,
+  key,
+  afterMount,
+} from "kea";
 import {
   disposablesPlugin,
-  __resetGlobalVisibilityStateForTests,
+  createDisposablesPlugin,
+  disposables,
+  offlinePauseSource,
+  createIdlePauseSource,
+  getDisposablesSnapshot,
+  subscribeToDisposables,
+  subscribeToDisposableEvents,
+  whenAllDisposed,
+  serverEnvironment,
 } from "../index";
+import { createFakePauseSource, createInMemoryLeaderNetwork } from "../testing";
+
+// A setup that records "<name> setup" and "<name> cleanup" in `events`
+const track = (events, name) => () => {
+  events.push(`${name} setup`);
+  return () => events.push(`${name} cleanup`);
+};
 
 describe("disposables", () => {
   beforeEach(() => {
@@ -50,7 +74,7 @@ describe("disposables", () => {
     expect(disposed).toEqual([]);
 
     logic.unmount();
-    expect(disposed).toEqual(["first", "second", "third"]);
+    expect(disposed).toEqual(["third", "second", "first"]);
   });
 
   test("only disposes on final unmount with multiple mounts", () => {
@@ -181,7 +205,7 @@ describe("disposables", () => {
     logic.actions.setup();
     logic.unmount();
 
-    expect(disposed).toEqual(["first", "third"]);
+    expect(disposed).toEqual(["third", "first"]);
     expect(consoleSpy).toHaveBeenCalledWith(
       expect.stringContaining("[KEA] Disposable cleanup failed in logic"),
       expect.any(Error),
@@ -256,7 +280,7 @@ describe("disposables", () => {
     if (key) {
       expect(disposed).toEqual(["first", "second"]); // Only second cleanup runs on unmount
     } else {
-      expect(disposed).toEqual(["first", "second"]); // Both cleanup on unmount
+      expect(disposed).toEqual(["second", "first"]); // Both cleanup on unmount, last added first
     }
   });
 
@@ -436,269 +460,3162 @@ describe("disposables", () => {
     consoleSpy.mockRestore();
   });
 
-  describe("visibility-based pause/resume", () => {
-    let visibilityChangeCallback = null;
+  describe("after final unmount", () => {
+    test("a listener that adds after awaiting doesn't crash or run setup", async () => {
+      const events = [];
+      let finishRequest;
 
-    beforeEach(() => {
-      __resetGlobalVisibilityStateForTests();
+      const logic = kea([
+        actions({ load: true }),
+        listeners(({ cache }) => ({
+          load: async () => {
+            await new Promise((resolve) => {
+              finishRequest = resolve;
+            });
+            cache.disposables.add(() => {
+              events.push("setup");
+              return () => events.push("cleanup");
+            }, "socket");
+          },
+        })),
+      ]);
+
+      logic.mount();
+      const manager = logic.cache.disposables;
+      logic.actions.load();
+      logic.unmount();
+
+      expect(manager.isActive).toBe(false);
+      finishRequest();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(events).toEqual([]);
+      expect(manager.registry.size).toBe(0);
+    });
+
+    test("a closed manager never reaches a later mount of the same logic", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+
+      logic.mount();
+      const staleManager = logic.cache.disposables;
+      logic.unmount();
+      logic.mount();
+
+      expect(logic.cache.disposables).not.toBe(staleManager);
+      expect(logic.cache.disposables.isActive).toBe(true);
+
+      staleManager.add(() => {
+        events.push("setup");
+        return () => events.push("cleanup");
+      }, "late");
+      expect(staleManager.dispose("late")).toBe(false);
+      expect(staleManager.pause()).toBe(false);
+      expect(staleManager.resume()).toBe(false);
+      expect(staleManager.isPaused("late")).toBe(false);
+      expect(logic.cache.disposables.registry.has("late")).toBe(false);
+
+      logic.unmount();
+      expect(events).toEqual([]);
+    });
 
+    test("dev mode warns about late adds", () => {
+      const logger = { error: jest.fn(), warn: jest.fn() };
       resetContext({
-        plugins: [disposablesPlugin],
+        plugins: [createDisposablesPlugin({ logger, devMode: true })],
       });
+      const logic = kea([actions({})]);
 
-      jest
-        .spyOn(document, "addEventListener")
-        .mockImplementation((event, callback) => {
-          if (event === "visibilitychange") {
-            visibilityChangeCallback = callback;
-          }
-        });
+      logic.mount();
+      const manager = logic.cache.disposables;
+      const logicPath = logic.pathString;
+      logic.unmount();
 
-      Object.defineProperty(document, "hidden", {
-        configurable: true,
-        writable: true,
-        value: false,
-      });
+      manager.add(() => () => {}, "late");
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `Disposable "late" was added after the logic unmounted, so its setup was skipped in logic ${logicPath}.`,
+        ),
+      );
     });
 
-    afterEach(() => {
-      visibilityChangeCallback = null;
-      jest.restoreAllMocks();
-    });
+    test("dev mode warnings point at the caller, not at the plugin", () => {
+      const logger = { error: jest.fn(), warn: jest.fn() };
+      resetContext({
+        plugins: [createDisposablesPlugin({ logger, devMode: true })],
+      });
+      const logic = kea([actions({})]);
+      logic.mount();
+      const manager = logic.cache.disposables;
+      logic.unmount();
 
-    const setDocumentHidden = (hidden) => {
-      Object.defineProperty(document, "hidden", {
-        configurable: true,
-        writable: true,
-        value: hidden,
+      manager.add(() => () => {}, "late");
+      manager.share("late", () => ({ resource: 1, cleanup: () => {} }));
+      manager.use({ [Symbol.for("Symbol.dispose")]: () => {} }, "late");
+      expect(logger.warn).toHaveBeenCalledTimes(3);
+      logger.warn.mock.calls.forEach(([message]) => {
+        const [, firstFrame] = message.split("\n");
+        expect(firstFrame).toContain("disposables.js");
       });
-    };
+    });
+  });
 
-    test("disposables pause when page becomes hidden", () => {
+  describe("async setup", () => {
+    const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    test("stores cleanup from a resolved async setup and runs it on unmount", async () => {
       const events = [];
 
       const logic = kea([
         actions({ setup: true }),
         listeners(({ cache }) => ({
           setup: () => {
-            cache.disposables.add(() => {
+            cache.disposables.add(async () => {
+              await Promise.resolve();
               events.push("setup");
               return () => events.push("cleanup");
-            }, "test");
+            }, "async");
           },
         })),
       ]);
 
       logic.mount();
       logic.actions.setup();
+      await flushPromises();
       expect(events).toEqual(["setup"]);
 
-      setDocumentHidden(true);
-      visibilityChangeCallback?.();
-      expect(events).toEqual(["setup", "cleanup"]);
-
-      setDocumentHidden(false);
-      visibilityChangeCallback?.();
-      expect(events).toEqual(["setup", "cleanup", "setup"]);
-
       logic.unmount();
-      expect(events).toEqual(["setup", "cleanup", "setup", "cleanup"]);
+      expect(events).toEqual(["setup", "cleanup"]);
     });
 
-    test("disposables with pauseOnPageHidden: false do NOT pause", () => {
+    test("aborts the signal and runs late cleanup when unmounted before setup resolves", async () => {
       const events = [];
+      let resolveSetup;
+      let receivedSignal;
 
       const logic = kea([
         actions({ setup: true }),
         listeners(({ cache }) => ({
           setup: () => {
-            cache.disposables.add(
-              () => {
-                events.push("setup");
-                return () => events.push("cleanup");
-              },
-              "test",
-              { pauseOnPageHidden: false },
-            );
+            cache.disposables.add((signal) => {
+              receivedSignal = signal;
+              return new Promise((resolve) => {
+                resolveSetup = () => resolve(() => events.push("cleanup"));
+              });
+            }, "async");
           },
         })),
       ]);
 
       logic.mount();
       logic.actions.setup();
-      expect(events).toEqual(["setup"]);
-
-      setDocumentHidden(true);
-      visibilityChangeCallback?.();
-      expect(events).toEqual(["setup"]);
-
-      setDocumentHidden(false);
-      visibilityChangeCallback?.();
-      expect(events).toEqual(["setup"]);
+      expect(receivedSignal.aborted).toBe(false);
 
       logic.unmount();
-      expect(events).toEqual(["setup", "cleanup"]);
+      expect(receivedSignal.aborted).toBe(true);
+      expect(events).toEqual([]);
+
+      resolveSetup();
+      await flushPromises();
+      expect(events).toEqual(["cleanup"]);
     });
 
-    test("multiple disposables pause and resume together", () => {
+    test("replacing a pending async setup aborts it", async () => {
       const events = [];
+      const signals = [];
 
       const logic = kea([
-        actions({ setup: true }),
+        actions({ setup: (name) => ({ name }) }),
         listeners(({ cache }) => ({
-          setup: () => {
-            cache.disposables.add(() => {
-              events.push("first-setup");
-              return () => events.push("first-cleanup");
-            }, "first");
-
-            cache.disposables.add(() => {
-              events.push("second-setup");
-              return () => events.push("second-cleanup");
-            }, "second");
-
-            cache.disposables.add(
-              () => {
-                events.push("nopause-setup");
-                return () => events.push("nopause-cleanup");
-              },
-              "nopause",
-              { pauseOnPageHidden: false },
-            );
+          setup: ({ name }) => {
+            cache.disposables.add(async (signal) => {
+              signals.push(signal);
+              await Promise.resolve();
+              events.push(`${name} setup`);
+              return () => events.push(`${name} cleanup`);
+            }, "async");
           },
         })),
       ]);
 
       logic.mount();
-      logic.actions.setup();
-      expect(events).toEqual(["first-setup", "second-setup", "nopause-setup"]);
+      logic.actions.setup("first");
+      logic.actions.setup("second");
+      expect(signals.map((signal) => signal.aborted)).toEqual([true, false]);
 
-      setDocumentHidden(true);
-      visibilityChangeCallback?.();
+      // The aborted first run is cleaned up as soon as it settles
+      await flushPromises();
       expect(events).toEqual([
-        "first-setup",
-        "second-setup",
-        "nopause-setup",
-        "first-cleanup",
-        "second-cleanup",
+        "first setup",
+        "second setup",
+        "first cleanup",
       ]);
 
-      setDocumentHidden(false);
-      visibilityChangeCallback?.();
+      logic.unmount();
       expect(events).toEqual([
-        "first-setup",
-        "second-setup",
-        "nopause-setup",
-        "first-cleanup",
-        "second-cleanup",
-        "first-setup",
-        "second-setup",
+        "first setup",
+        "second setup",
+        "first cleanup",
+        "second cleanup",
       ]);
     });
 
-    test("disposables across multiple logics all pause/resume", () => {
-      const logic1Events = [];
-      const logic2Events = [];
+    test("rejected async setup is logged, aborted rejections are not", async () => {
+      const consoleSpy = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
 
-      const logic1 = kea([
-        actions({ setup: true }),
+      const logic = kea([
+        actions({ fail: true, abort: true }),
         listeners(({ cache }) => ({
-          setup: () => {
-            cache.disposables.add(() => {
-              logic1Events.push("setup");
-              return () => logic1Events.push("cleanup");
-            });
+          fail: () => {
+            cache.disposables.add(async () => {
+              throw new Error("async setup failed");
+            }, "failing");
           },
-        })),
-      ]);
-
-      const logic2 = kea([
-        actions({ setup: true }),
-        listeners(({ cache }) => ({
-          setup: () => {
-            cache.disposables.add(() => {
-              logic2Events.push("setup");
-              return () => logic2Events.push("cleanup");
-            });
+          abort: () => {
+            cache.disposables.add(
+              (signal) =>
+                new Promise((_, reject) => {
+                  signal.addEventListener("abort", () =>
+                    reject(new Error("aborted")),
+                  );
+                }),
+              "aborting",
+            );
+            cache.disposables.dispose("aborting");
           },
         })),
       ]);
 
-      logic1.mount();
-      logic1.actions.setup();
-      logic2.mount();
-      logic2.actions.setup();
+      logic.mount();
+      logic.actions.abort();
+      await flushPromises();
+      expect(consoleSpy).not.toHaveBeenCalled();
 
-      expect(logic1Events).toEqual(["setup"]);
-      expect(logic2Events).toEqual(["setup"]);
+      logic.actions.fail();
+      await flushPromises();
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining("[KEA] Disposable setup failed in logic"),
+        expect.any(Error),
+      );
 
-      setDocumentHidden(true);
-      visibilityChangeCallback?.();
+      logic.unmount();
+      consoleSpy.mockRestore();
+    });
+  });
 
-      expect(logic1Events).toEqual(["setup", "cleanup"]);
-      expect(logic2Events).toEqual(["setup", "cleanup"]);
+  describe("async cleanup", () => {
+    const deferred = () => {
+      let resolve;
+      let reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      return { promise, resolve, reject };
+    };
 
-      setDocumentHidden(false);
-      visibilityChangeCallback?.();
+    test("rejections from async cleanups go to onError", async () => {
+      const onError = jest.fn();
+      resetContext({ plugins: [createDisposablesPlugin({ onError })] });
+      const logic = kea([actions({})]);
+      logic.mount();
+      const error = new Error("close failed");
+      logic.cache.disposables.add(() => () => Promise.reject(error), "socket");
+      logic.cache.disposables.add(() => () => Promise.reject(error), "db");
+
+      logic.cache.disposables.pause("socket");
+      logic.cache.disposables.dispose("db");
+      await logic.cache.disposables.flush();
+      expect(onError.mock.calls).toEqual([
+        [error, { logicPath: logic.pathString, key: "socket", phase: "pause" }],
+        [error, { logicPath: logic.pathString, key: "db", phase: "cleanup" }],
+      ]);
 
-      expect(logic1Events).toEqual(["setup", "cleanup", "setup"]);
-      expect(logic2Events).toEqual(["setup", "cleanup", "setup"]);
+      logic.unmount();
     });
 
-    test("real-world setInterval pauses and resumes", () => {
-      jest.useFakeTimers();
-      const pollCalls = [];
+    test("disposeAsync resolves once the cleanup has finished", async () => {
+      const events = [];
+      const close = deferred();
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(
+        () => async () => {
+          await close.promise;
+          events.push("closed");
+        },
+        "socket",
+      );
 
-      const logic = kea([
-        actions({ startPolling: true }),
-        listeners(({ cache }) => ({
-          startPolling: () => {
-            cache.disposables.add(() => {
-              const intervalId = setInterval(() => {
-                pollCalls.push(Date.now());
-              }, 1000);
-              return () => clearInterval(intervalId);
-            }, "polling");
-          },
-        })),
-      ]);
+      const disposing = logic.cache.disposables
+        .disposeAsync("socket")
+        .then((result) => events.push(`disposed ${result}`));
+      await Promise.resolve();
+      expect(events).toEqual([]);
+
+      close.resolve();
+      await disposing;
+      expect(events).toEqual(["closed", "disposed true"]);
+      await expect(logic.cache.disposables.disposeAsync("socket")).resolves.toBe(
+        false,
+      );
 
-      logic.mount();
-      logic.actions.startPolling();
+      logic.unmount();
+    });
 
-      jest.advanceTimersByTime(3000);
-      expect(pollCalls).toHaveLength(3);
+    test("flush and whenAllDisposed wait for cleanups after unmount and resetContext", async () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(
+        () => () =>
+          new Promise((resolve) => setTimeout(resolve, 10)).then(() =>
+            events.push("player destroyed"),
+          ),
+        "player",
+      );
+      const manager = logic.cache.disposables;
 
-      setDocumentHidden(true);
-      visibilityChangeCallback?.();
+      logic.unmount();
+      expect(events).toEqual([]);
+      await manager.flush();
+      expect(events).toEqual(["player destroyed"]);
+
+      const other = kea([actions({})]);
+      other.mount();
+      other.cache.disposables.add(
+        () => () =>
+          new Promise((resolve) => setTimeout(resolve, 10)).then(() =>
+            events.push("db closed"),
+          ),
+        "db",
+      );
+      resetContext({ plugins: [disposablesPlugin] });
+      await whenAllDisposed();
+      expect(events).toEqual(["player destroyed", "db closed"]);
+    });
 
-      const beforeHidden = pollCalls.length;
+    test("whenAllDisposed waits for the late cleanup of an aborted async setup", async () => {
+      const events = [];
+      const connected = deferred();
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(async () => {
+        await connected.promise;
+        events.push("connected");
+        return async () => {
+          events.push("disconnected");
+        };
+      }, "socket");
 
-      jest.advanceTimersByTime(3000);
-      expect(pollCalls).toHaveLength(beforeHidden);
+      logic.unmount();
+      const done = whenAllDisposed().then(() => events.push("done"));
+      connected.resolve();
+      await done;
+      expect(events).toEqual(["connected", "disconnected", "done"]);
+    });
+  });
 
-      setDocumentHidden(false);
-      visibilityChangeCallback?.();
+  describe("retry", () => {
+    let onError;
 
-      jest.advanceTimersByTime(3000);
-      expect(pollCalls).toHaveLength(beforeHidden + 3);
+    beforeEach(() => {
+      jest.useFakeTimers();
+      onError = jest.fn();
+      resetContext({ plugins: [createDisposablesPlugin({ onError })] });
+    });
 
+    afterEach(() => {
       jest.useRealTimers();
     });
 
-    test("visibility listener only attached once globally", () => {
-      const addEventListener = jest.spyOn(document, "addEventListener");
+    // fails the first `failures` times it is called
+    const flakySetup = (failures, reasons = []) =>
+      jest.fn((signal, { reason }) => {
+        reasons.push(reason);
+        if (reasons.length <= failures) {
+          throw new Error(`attempt ${reasons.length} failed`);
+        }
+        return () => {};
+      });
 
-      const logic1 = kea([actions({}), listeners(() => ({}))]);
-      const logic2 = kea([actions({}), listeners(() => ({}))]);
-      const logic3 = kea([actions({}), listeners(() => ({}))]);
+    const snapshotOf = (logic) => getDisposablesSnapshot()[logic.pathString];
 
-      logic1.mount();
-      logic2.mount();
-      logic3.mount();
+    test("retries with exponential backoff until setup succeeds", () => {
+      const reasons = [];
+      const setup = flakySetup(2, reasons);
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(setup, "socket", {
+        retry: { delayMs: 100 },
+      });
 
-      const visibilityListenerCount = addEventListener.mock.calls.filter(
-        ([event]) => event === "visibilitychange",
+      expect(snapshotOf(logic)[0]).toMatchObject({
+        key: "socket",
+        failed: false,
+        failedAttempts: 1,
+        retryAt: Date.now() + 100,
+      });
+      jest.advanceTimersByTime(99);
+      expect(setup).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(1);
+      expect(setup).toHaveBeenCalledTimes(2);
+
+      // the second retry waits twice as long
+      jest.advanceTimersByTime(199);
+      expect(setup).toHaveBeenCalledTimes(2);
+      jest.advanceTimersByTime(1);
+      expect(reasons).toEqual(["add", "retry", "retry"]);
+      expect(snapshotOf(logic)[0]).toMatchObject({
+        failed: false,
+        failedAttempts: 0,
+        retryAt: null,
+      });
+      expect(onError).toHaveBeenCalledTimes(2);
+
+      logic.unmount();
+    });
+
+    test("an entry out of attempts stays registered as failed until it resumes", () => {
+      const reasons = [];
+      const setup = flakySetup(3, reasons);
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(setup, "socket", {
+        retry: { maxAttempts: 2, delayMs: 100 },
+      });
+
+      jest.advanceTimersByTime(10_000);
+      expect(setup).toHaveBeenCalledTimes(2);
+      expect(snapshotOf(logic)[0]).toMatchObject({
+        key: "socket",
+        failed: true,
+        failedAttempts: 2,
+        retryAt: null,
+      });
+
+      // resuming starts over with a fresh set of attempts
+      logic.cache.disposables.pause("socket");
+      logic.cache.disposables.resume("socket");
+      jest.advanceTimersByTime(100);
+      expect(reasons).toEqual(["add", "retry", "resume", "retry"]);
+      expect(snapshotOf(logic)[0].failed).toBe(false);
+
+      logic.unmount();
+    });
+
+    test("retries stop on pause, dispose and unmount", () => {
+      const setup = flakySetup(Infinity);
+      const logic = kea([actions({})]);
+      logic.mount();
+      const retry = { maxAttempts: 10, delayMs: 100 };
+      logic.cache.disposables.add(setup, "paused", { retry });
+      logic.cache.disposables.add(setup, "disposed", { retry });
+      logic.cache.disposables.add(setup, "unmounted", { retry });
+
+      logic.cache.disposables.pause("paused");
+      logic.cache.disposables.dispose("disposed");
+      jest.advanceTimersByTime(100);
+      expect(setup).toHaveBeenCalledTimes(4);
+
+      logic.unmount();
+      jest.advanceTimersByTime(10_000);
+      expect(setup).toHaveBeenCalledTimes(4);
+    });
+
+    test("rejected async setups are retried too", async () => {
+      let attempts = 0;
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(
+        async () => {
+          attempts++;
+          if (attempts === 1) {
+            throw new Error("offline");
+          }
+          return () => {};
+        },
+        "socket",
+        { retry: { delayMs: 100, jitterMs: 50 } },
+      );
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(snapshotOf(logic)[0].failedAttempts).toBe(1);
+
+      jest.advanceTimersByTime(150);
+      expect(attempts).toBe(2);
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(snapshotOf(logic)[0].failedAttempts).toBe(0);
+
+      logic.unmount();
+    });
+
+    test("maxDelayMs caps the delay, jitter included", () => {
+      const setup = flakySetup(Infinity);
+      const logic = kea([actions({})]);
+      logic.mount();
+      const random = jest.spyOn(Math, "random").mockReturnValue(1);
+      logic.cache.disposables.add(setup, "socket", {
+        retry: { delayMs: 100, maxDelayMs: 100, jitterMs: 50 },
+      });
+      random.mockRestore();
+
+      expect(snapshotOf(logic)[0].retryAt).toBe(Date.now() + 100);
+      jest.advanceTimersByTime(100);
+      expect(setup).toHaveBeenCalledTimes(2);
+
+      logic.unmount();
+    });
+
+    test("without retry, a rejecting setup isn't kept, just like a throwing one", async () => {
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(() => {
+        throw new Error("offline");
+      }, "sync");
+      logic.cache.disposables.add(async () => {
+        throw new Error("offline");
+      }, "async");
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(onError).toHaveBeenCalledTimes(2);
+      expect(logic.cache.disposables.registry.has("sync")).toBe(false);
+      expect(logic.cache.disposables.registry.has("async")).toBe(false);
+
+      logic.unmount();
+    });
+
+    test("without retry, a setup failing on resume shows up as failed", () => {
+      const setup = flakySetup(0);
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(setup, "socket");
+      setup.mockImplementation(() => {
+        throw new Error("resume failed");
+      });
+
+      logic.cache.disposables.pause("socket");
+      logic.cache.disposables.resume("socket");
+      expect(snapshotOf(logic)[0]).toMatchObject({
+        key: "socket",
+        failed: true,
+        failedAttempts: 1,
+      });
+
+      logic.unmount();
+    });
+  });
+
+  describe("plugin options", () => {
+    test("onError receives setup and cleanup failures with context", () => {
+      const onError = jest.fn();
+      resetContext({
+        plugins: [createDisposablesPlugin({ onError })],
+      });
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              throw new Error("setup error");
+            }, "broken-setup");
+            cache.disposables.add(
+              () => () => {
+                throw new Error("cleanup error");
+              },
+              "broken-cleanup",
+            );
+          },
+        })),
+      ]);
+
+      logic.mount();
+      const logicPath = logic.pathString;
+      logic.actions.setup();
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), {
+        logicPath,
+        key: "broken-setup",
+        phase: "setup",
+      });
+
+      logic.unmount();
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), {
+        logicPath,
+        key: "broken-cleanup",
+        phase: "cleanup",
+      });
+      expect(onError).toHaveBeenCalledTimes(2);
+    });
+
+    test("logger replaces console for default error reporting", () => {
+      const logger = { error: jest.fn(), warn: jest.fn() };
+      const consoleSpy = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      resetContext({
+        plugins: [createDisposablesPlugin({ logger })],
+      });
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              throw new Error("setup error");
+            });
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+      logic.unmount();
+
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining("[KEA] Disposable setup failed in logic"),
+        expect.any(Error),
+      );
+      expect(consoleSpy).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    test("a throwing onError falls back to the logger", () => {
+      const logger = { error: jest.fn(), warn: jest.fn() };
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            logger,
+            onError: () => {
+              throw new Error("tracker down");
+            },
+          }),
+        ],
+      });
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              throw new Error("setup error");
+            });
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+      logic.unmount();
+
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining("[KEA] Disposable onError handler failed"),
+        expect.any(Error),
+      );
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining("[KEA] Disposable setup failed in logic"),
+        expect.any(Error),
+      );
+    });
+
+    test("environment: serverEnvironment turns visibility pausing off", () => {
+      const addEventListener = jest.spyOn(document, "addEventListener");
+      resetContext({
+        plugins: [createDisposablesPlugin({ environment: serverEnvironment })],
+      });
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(() => () => {}, "polling");
+
+      expect(
+        addEventListener.mock.calls.filter(
+          ([event]) => event === "visibilitychange",
+        ),
+      ).toEqual([]);
+      expect(getDisposablesSnapshot()[logic.pathString][0].paused).toBe(false);
+
+      logic.unmount();
+      addEventListener.mockRestore();
+    });
+  });
+
+  describe("disposables() builder", () => {
+    test("registers entries by key on mount and cleans them up on unmount", () => {
+      const events = [];
+
+      const logic = kea([
+        disposables(() => ({
+          first: () => {
+            events.push("first setup");
+            return () => events.push("first cleanup");
+          },
+          second: () => {
+            events.push("second setup");
+            return () => events.push("second cleanup");
+          },
+        })),
+      ]);
+
+      expect(events).toEqual([]);
+
+      logic.mount();
+      expect(events).toEqual(["first setup", "second setup"]);
+      expect([...logic.cache.disposables.registry.keys()]).toEqual([
+        "first",
+        "second",
+      ]);
+
+      logic.unmount();
+      expect(events).toEqual([
+        "first setup",
+        "second setup",
+        "second cleanup",
+        "first cleanup",
+      ]);
+    });
+
+    test("receives the logic and works with dispose and replace by key", () => {
+      const events = [];
+
+      const logic = kea([
+        props({ id: 0 }),
+        key((props) => props.id),
+        actions({ stop: true, restart: true }),
+        reducers({ label: ["polling", {}] }),
+        disposables(({ values, props }) => ({
+          polling: () => {
+            events.push(`${values.label}-${props.id} setup`);
+            return () => events.push(`${values.label}-${props.id} cleanup`);
+          },
+        })),
+        listeners(({ cache }) => ({
+          stop: () => {
+            cache.disposables.dispose("polling");
+          },
+          restart: () => {
+            cache.disposables.add(() => {
+              events.push("restarted setup");
+              return () => events.push("restarted cleanup");
+            }, "polling");
+          },
+        })),
+      ]);
+
+      const builtLogic = logic({ id: 12 });
+      builtLogic.mount();
+      builtLogic.actions.restart();
+      builtLogic.actions.stop();
+      builtLogic.unmount();
+
+      expect(events).toEqual([
+        "polling-12 setup",
+        "polling-12 cleanup",
+        "restarted setup",
+        "restarted cleanup",
+      ]);
+    });
+
+    test("registers again when mounted after a final unmount", () => {
+      const events = [];
+
+      const logic = kea([
+        disposables({
+          resource: () => {
+            events.push("setup");
+            return () => events.push("cleanup");
+          },
+        }),
+      ]);
+
+      logic.mount();
+      logic.mount();
+      logic.unmount();
+      logic.unmount();
+      logic.mount();
+      logic.unmount();
+
+      expect(events).toEqual(["setup", "cleanup", "setup", "cleanup"]);
+    });
+
+    test("throws a helpful error when the plugin is not installed", () => {
+      resetContext({ plugins: [] });
+
+      const logic = kea([disposables({ resource: () => () => {} })]);
+
+      expect(() => logic.mount()).toThrow(
+        "the disposables plugin is not installed",
+      );
+    });
+  });
+
+  describe("deps", () => {
+    const makePollingLogic = (events) =>
+      kea([
+        actions({
+          start: true,
+          setInterval: (ms) => ({ ms }),
+          setOther: (other) => ({ other }),
+        }),
+        reducers({
+          interval: [1000, { setInterval: (_, { ms }) => ms }],
+          other: [0, { setOther: (_, { other }) => other }],
+        }),
+        listeners(({ cache, values }) => ({
+          start: () => {
+            cache.disposables.add(
+              () => {
+                const interval = values.interval;
+                events.push(`setup ${interval}`);
+                return () => events.push(`cleanup ${interval}`);
+              },
+              "polling",
+              { deps: (values) => [values.interval] },
+            );
+          },
+        })),
+      ]);
+
+    test("re-runs setup when deps change and not otherwise", () => {
+      const events = [];
+      const logic = makePollingLogic(events);
+
+      logic.mount();
+      logic.actions.start();
+      expect(events).toEqual(["setup 1000"]);
+
+      logic.actions.setOther(1);
+      logic.actions.setInterval(1000);
+      expect(events).toEqual(["setup 1000"]);
+
+      logic.actions.setInterval(500);
+      expect(events).toEqual(["setup 1000", "cleanup 1000", "setup 500"]);
+
+      logic.unmount();
+      expect(events).toEqual([
+        "setup 1000",
+        "cleanup 1000",
+        "setup 500",
+        "cleanup 500",
+      ]);
+    });
+
+    test("stops watching deps after unmount and after dispose", () => {
+      const events = [];
+      const logic = makePollingLogic(events);
+
+      logic.mount();
+      logic.actions.start();
+      logic.cache.disposables.dispose("polling");
+      logic.actions.setInterval(500);
+      expect(events).toEqual(["setup 1000", "cleanup 1000"]);
+
+      logic.unmount();
+      logic.mount();
+      logic.actions.setInterval(250);
+      expect(events).toEqual(["setup 1000", "cleanup 1000"]);
+      logic.unmount();
+    });
+
+    test("works with the disposables() builder", () => {
+      const events = [];
+
+      const logic = kea([
+        actions({ setInterval: (ms) => ({ ms }) }),
+        reducers({ interval: [1000, { setInterval: (_, { ms }) => ms }] }),
+        disposables(({ values }) => ({
+          polling: {
+            setup: () => {
+              const interval = values.interval;
+              events.push(`setup ${interval}`);
+              return () => events.push(`cleanup ${interval}`);
+            },
+            deps: (values) => [values.interval],
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setInterval(500);
+      logic.unmount();
+
+      expect(events).toEqual([
+        "setup 1000",
+        "cleanup 1000",
+        "setup 500",
+        "cleanup 500",
+      ]);
+    });
+  });
+
+  describe("manual pause/resume", () => {
+    const makeLogic = (events) =>
+      kea([
+        disposables({
+          first: () => {
+            events.push("first setup");
+            return () => events.push("first cleanup");
+          },
+          second: () => {
+            events.push("second setup");
+            return () => events.push("second cleanup");
+          },
+        }),
+      ]);
+
+    test("pauses and resumes a single key", () => {
+      const events = [];
+      const logic = makeLogic(events);
+      logic.mount();
+      events.length = 0;
+
+      expect(logic.cache.disposables.pause("first")).toBe(true);
+      expect(logic.cache.disposables.isPaused("first")).toBe(true);
+      expect(logic.cache.disposables.isPaused("second")).toBe(false);
+      expect(events).toEqual(["first cleanup"]);
+
+      // pausing again is a no-op
+      logic.cache.disposables.pause("first");
+      expect(events).toEqual(["first cleanup"]);
+
+      expect(logic.cache.disposables.resume("first")).toBe(true);
+      expect(logic.cache.disposables.isPaused("first")).toBe(false);
+      expect(events).toEqual(["first cleanup", "first setup"]);
+
+      // resuming again is a no-op
+      logic.cache.disposables.resume("first");
+      expect(events).toEqual(["first cleanup", "first setup"]);
+
+      logic.unmount();
+    });
+
+    test("pause() without a key pauses the whole logic, including later additions", () => {
+      const events = [];
+      const logic = makeLogic(events);
+      logic.mount();
+      events.length = 0;
+
+      logic.cache.disposables.pause();
+      expect(events).toEqual(["second cleanup", "first cleanup"]);
+
+      logic.cache.disposables.add(() => {
+        events.push("third setup");
+        return () => events.push("third cleanup");
+      }, "third");
+      expect(logic.cache.disposables.isPaused("third")).toBe(true);
+      expect(events).toEqual(["second cleanup", "first cleanup"]);
+
+      logic.cache.disposables.resume();
+      expect(events).toEqual([
+        "second cleanup",
+        "first cleanup",
+        "first setup",
+        "second setup",
+        "third setup",
+      ]);
+
+      logic.unmount();
+    });
+
+    test("paused entries are not cleaned up again on dispose or unmount", () => {
+      const events = [];
+      const logic = makeLogic(events);
+      logic.mount();
+      events.length = 0;
+
+      logic.cache.disposables.pause();
+      logic.cache.disposables.dispose("first");
+      logic.unmount();
+
+      expect(events).toEqual(["second cleanup", "first cleanup"]);
+    });
+
+    test("returns false for unknown keys", () => {
+      const logic = makeLogic([]);
+      logic.mount();
+
+      expect(logic.cache.disposables.pause("missing")).toBe(false);
+      expect(logic.cache.disposables.resume("missing")).toBe(false);
+      expect(logic.cache.disposables.isPaused("missing")).toBe(false);
+
+      logic.unmount();
+    });
+  });
+
+  describe("pause sources", () => {
+    const createFakeSource = () => {
+      const source = {
+        name: "fake",
+        paused: false,
+        subscribers: 0,
+        onChange: null,
+        subscribe: jest.fn((onChange) => {
+          source.subscribers++;
+          source.onChange = onChange;
+          return () => {
+            source.subscribers--;
+            source.onChange = null;
+          };
+        }),
+        shouldPause: () => source.paused,
+        set: (paused) => {
+          source.paused = paused;
+          source.onChange?.();
+        },
+      };
+      return source;
+    };
+
+    test("custom sources pause and resume the entries that use them", () => {
+      const source = createFakeSource();
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      logic.cache.disposables.add(track(events, "paused"), "paused", {
+        pauseWhen: [source],
+      });
+      logic.cache.disposables.add(track(events, "other"), "other");
+
+      source.set(true);
+      expect(events).toEqual(["paused setup", "other setup", "paused cleanup"]);
+      expect(logic.cache.disposables.isPaused("paused")).toBe(true);
+
+      source.set(false);
+      expect(events).toEqual([
+        "paused setup",
+        "other setup",
+        "paused cleanup",
+        "paused setup",
+      ]);
+
+      logic.unmount();
+    });
+
+    test("an entry stays paused while any of its sources says so", () => {
+      const first = createFakeSource();
+      const second = createFakeSource();
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      logic.cache.disposables.add(track(events, "entry"), "entry", {
+        pauseWhen: [first, second],
+      });
+      first.set(true);
+      second.set(true);
+      first.set(false);
+      expect(events).toEqual(["entry setup", "entry cleanup"]);
+
+      second.set(false);
+      expect(events).toEqual(["entry setup", "entry cleanup", "entry setup"]);
+
+      logic.unmount();
+    });
+
+    test("entries added while a source is pausing start paused", () => {
+      const source = createFakeSource();
+      source.paused = true;
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      logic.cache.disposables.add(track(events, "entry"), "entry", {
+        pauseWhen: [source],
+      });
+      expect(events).toEqual([]);
+
+      source.set(false);
+      expect(events).toEqual(["entry setup"]);
+
+      logic.unmount();
+    });
+
+    test("sources are subscribed once and released with the last entry", () => {
+      const source = createFakeSource();
+      const logic1 = kea([actions({})]);
+      const logic2 = kea([actions({})]);
+      logic1.mount();
+      logic2.mount();
+
+      logic1.cache.disposables.add(track([], "a"), "a", {
+        pauseWhen: [source],
+      });
+      logic1.cache.disposables.add(track([], "b"), "b", {
+        pauseWhen: [source],
+      });
+      logic2.cache.disposables.add(track([], "c"), "c", {
+        pauseWhen: [source],
+      });
+      expect(source.subscribe).toHaveBeenCalledTimes(1);
+      expect(source.subscribers).toBe(1);
+
+      logic1.cache.disposables.dispose("a");
+      logic1.unmount();
+      expect(source.subscribers).toBe(1);
+
+      logic2.unmount();
+      expect(source.subscribers).toBe(0);
+    });
+
+    test("offlinePauseSource pauses while navigator is offline", () => {
+      const onLine = jest.spyOn(navigator, "onLine", "get");
+      onLine.mockReturnValue(true);
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      logic.cache.disposables.add(track(events, "socket"), "socket", {
+        pauseOnPageHidden: false,
+        pauseWhen: [offlinePauseSource],
+      });
+
+      onLine.mockReturnValue(false);
+      window.dispatchEvent(new Event("offline"));
+      expect(events).toEqual(["socket setup", "socket cleanup"]);
+
+      onLine.mockReturnValue(true);
+      window.dispatchEvent(new Event("online"));
+      expect(events).toEqual(["socket setup", "socket cleanup", "socket setup"]);
+
+      logic.unmount();
+      onLine.mockRestore();
+    });
+
+    test("idle sources pause after inactivity and resume on activity", () => {
+      jest.useFakeTimers();
+      const idleSource = createIdlePauseSource({ timeoutMs: 1000 });
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      logic.cache.disposables.add(track(events, "polling"), "polling", {
+        pauseWhen: [idleSource],
+      });
+
+      jest.advanceTimersByTime(900);
+      window.dispatchEvent(new Event("keydown"));
+      jest.advanceTimersByTime(900);
+      expect(events).toEqual(["polling setup"]);
+
+      jest.advanceTimersByTime(100);
+      expect(events).toEqual(["polling setup", "polling cleanup"]);
+
+      window.dispatchEvent(new Event("mousemove"));
+      expect(events).toEqual([
+        "polling setup",
+        "polling cleanup",
+        "polling setup",
+      ]);
+
+      logic.unmount();
+      jest.useRealTimers();
+    });
+  });
+
+  describe("disposeOn and restartOn", () => {
+    test("disposes on the logic's own actions and on connected action types", () => {
+      const events = [];
+      const userLogic = kea([actions({ logout: true })]);
+      const logic = kea([
+        actions({ stopPolling: true, other: true }),
+        afterMount(({ actions, cache }) => {
+          cache.disposables.add(
+            () => {
+              events.push("polling setup");
+              return () => events.push("polling cleanup");
+            },
+            "polling",
+            { disposeOn: [actions.stopPolling] },
+          );
+          cache.disposables.add(
+            () => {
+              events.push("socket setup");
+              return () => events.push("socket cleanup");
+            },
+            "socket",
+            { disposeOn: [userLogic.actionTypes.logout] },
+          );
+        }),
+      ]);
+      userLogic.mount();
+      logic.mount();
+
+      logic.actions.other();
+      logic.actions.stopPolling();
+      expect(events).toEqual([
+        "polling setup",
+        "socket setup",
+        "polling cleanup",
+      ]);
+      expect(logic.cache.disposables.registry.has("polling")).toBe(false);
+
+      userLogic.actions.logout();
+      expect(events).toEqual([
+        "polling setup",
+        "socket setup",
+        "polling cleanup",
+        "socket cleanup",
+      ]);
+      expect(logic.cache.disposables.registry.size).toBe(0);
+
+      logic.unmount();
+      userLogic.unmount();
+      expect(events.length).toBe(4);
+    });
+
+    test("restarts with reason 'restart' after reducers have run", () => {
+      const events = [];
+      const logic = kea([
+        actions({ refresh: true }),
+        reducers({ refreshes: [0, { refresh: (state) => state + 1 }] }),
+      ]);
+      logic.mount();
+      logic.cache.disposables.add(
+        (signal, { reason }) => {
+          events.push(`setup ${reason} ${logic.values.refreshes}`);
+          return () => events.push("cleanup");
+        },
+        "polling",
+        { restartOn: [logic.actions.refresh] },
+      );
+
+      logic.actions.refresh();
+      expect(events).toEqual(["setup add 0", "cleanup", "setup restart 1"]);
+
+      logic.cache.disposables.pause("polling");
+      logic.actions.refresh();
+      expect(events).toEqual([
+        "setup add 0",
+        "cleanup",
+        "setup restart 1",
+        "cleanup",
+      ]);
+
+      logic.unmount();
+    });
+
+    test("stops listening once the disposable is gone", () => {
+      const setup = jest.fn(() => () => {});
+      const logic = kea([actions({ refresh: true })]);
+      logic.mount();
+      logic.cache.disposables.add(setup, "polling", {
+        restartOn: [logic.actions.refresh],
+      });
+      logic.cache.disposables.dispose("polling");
+
+      logic.actions.refresh();
+      expect(setup).toHaveBeenCalledTimes(1);
+
+      logic.unmount();
+    });
+  });
+
+  describe("ttl", () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("disposes by itself once ttlMs or expiresAt has passed", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(track(events, "toast"), "toast", {
+        ttlMs: 1000,
+      });
+      logic.cache.disposables.add(track(events, "live"), "live", {
+        expiresAt: new Date(Date.now() + 3000),
+      });
+      expect(
+        getDisposablesSnapshot()[logic.pathString].map((e) => e.expiresAt),
+      ).toEqual([Date.now() + 1000, Date.now() + 3000]);
+
+      jest.advanceTimersByTime(1000);
+      expect(events).toEqual(["toast setup", "live setup", "toast cleanup"]);
+      expect(logic.cache.disposables.registry.has("toast")).toBe(false);
+
+      jest.advanceTimersByTime(2000);
+      expect(events).toEqual([
+        "toast setup",
+        "live setup",
+        "toast cleanup",
+        "live cleanup",
+      ]);
+
+      logic.unmount();
+      expect(events.length).toBe(4);
+    });
+
+    test("adding the same key again starts the ttl over", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(track(events, "first"), "toast", {
+        ttlMs: 1000,
+      });
+      jest.advanceTimersByTime(800);
+      logic.cache.disposables.add(track(events, "second"), "toast", {
+        ttlMs: 1000,
+      });
+
+      jest.advanceTimersByTime(800);
+      expect(events).toEqual(["first setup", "first cleanup", "second setup"]);
+      jest.advanceTimersByTime(200);
+      expect(events).toEqual([
+        "first setup",
+        "first cleanup",
+        "second setup",
+        "second cleanup",
+      ]);
+
+      logic.unmount();
+    });
+
+    test("paused time only counts when ttlCountsPausedTime isn't false", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(track(events, "wall"), "wall", {
+        ttlMs: 1000,
+      });
+      logic.cache.disposables.add(track(events, "active"), "active", {
+        ttlMs: 1000,
+        ttlCountsPausedTime: false,
+      });
+
+      jest.advanceTimersByTime(400);
+      logic.cache.disposables.pause();
+      expect(
+        getDisposablesSnapshot()[logic.pathString].map((e) => e.expiresAt),
+      ).toEqual([Date.now() + 600, null]);
+
+      jest.advanceTimersByTime(5000);
+      expect(logic.cache.disposables.registry.has("wall")).toBe(false);
+      expect(logic.cache.disposables.registry.has("active")).toBe(true);
+
+      logic.cache.disposables.resume();
+      jest.advanceTimersByTime(599);
+      expect(logic.cache.disposables.registry.has("active")).toBe(true);
+      jest.advanceTimersByTime(1);
+      expect(events).toEqual([
+        "wall setup",
+        "active setup",
+        "active cleanup",
+        "wall cleanup",
+        "active setup",
+        "active cleanup",
+      ]);
+
+      logic.unmount();
+    });
+
+    test("expiry reports cleanup errors like dispose does", () => {
+      const onError = jest.fn();
+      resetContext({ plugins: [createDisposablesPlugin({ onError })] });
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(
+        () => () => {
+          throw new Error("boom");
+        },
+        "toast",
+        { ttlMs: 1000 },
+      );
+
+      jest.advanceTimersByTime(1000);
+      expect(onError).toHaveBeenCalledWith(expect.any(Error), {
+        logicPath: logic.pathString,
+        key: "toast",
+        phase: "cleanup",
+      });
+
+      logic.unmount();
+    });
+  });
+
+  describe("teardown order and dependsOn", () => {
+    test("teardownOrder: 'fifo' cleans up in the order disposables were added", () => {
+      resetContext({
+        plugins: [createDisposablesPlugin({ teardownOrder: "fifo" })],
+      });
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(track(events, "first"), "first");
+      logic.cache.disposables.add(track(events, "second"), "second");
+      events.length = 0;
+
+      logic.unmount();
+      expect(events).toEqual(["first cleanup", "second cleanup"]);
+    });
+
+    test("disposing a parent cleans up its dependents first and restores them after", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(track(events, "map"), "map");
+      logic.cache.disposables.add(track(events, "observer"), "observer", {
+        dependsOn: ["map"],
+      });
+      logic.cache.disposables.add(track(events, "other"), "other");
+      events.length = 0;
+
+      logic.cache.disposables.dispose("map");
+      expect(events).toEqual(["observer cleanup", "map cleanup"]);
+      expect(getDisposablesSnapshot()[logic.pathString][0]).toMatchObject({
+        key: "observer",
+        paused: true,
+        pausedBy: ["dependsOn:map"],
+      });
+
+      logic.cache.disposables.add(track(events, "map"), "map");
+      expect(events).toEqual([
+        "observer cleanup",
+        "map cleanup",
+        "map setup",
+        "observer setup",
+      ]);
+
+      events.length = 0;
+      logic.unmount();
+      // map was added again, but it still goes after the observer built on it
+      expect(events).toEqual([
+        "observer cleanup",
+        "map cleanup",
+        "other cleanup",
+      ]);
+    });
+
+    test("replacing or restarting a parent takes its dependents along", () => {
+      const events = [];
+      const logic = kea([actions({ refresh: true })]);
+      logic.mount();
+      logic.cache.disposables.add(track(events, "map"), "map", {
+        restartOn: [logic.actions.refresh],
+      });
+      logic.cache.disposables.add(track(events, "layer"), "layer", {
+        dependsOn: ["map"],
+      });
+      logic.cache.disposables.add(track(events, "observer"), "observer", {
+        dependsOn: ["layer"],
+      });
+      events.length = 0;
+
+      logic.cache.disposables.add(track(events, "new map"), "map");
+      expect(events).toEqual([
+        "observer cleanup",
+        "layer cleanup",
+        "map cleanup",
+        "new map setup",
+        "layer setup",
+        "observer setup",
+      ]);
+
+      events.length = 0;
+      logic.cache.disposables.add(track(events, "map"), "map", {
+        restartOn: [logic.actions.refresh],
+      });
+      events.length = 0;
+      logic.actions.refresh();
+      expect(events).toEqual([
+        "observer cleanup",
+        "layer cleanup",
+        "map cleanup",
+        "map setup",
+        "layer setup",
+        "observer setup",
+      ]);
+
+      logic.unmount();
+    });
+
+    test("dependents wait for a parent that doesn't exist yet, within their scope", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      const editor = logic.cache.disposables.scope("editor");
+      editor.add(track(events, "cursor"), "cursor", { dependsOn: ["doc"] });
+      logic.cache.disposables.add(track(events, "root doc"), "doc");
+      expect(editor.isPaused("cursor")).toBe(true);
+
+      editor.add(track(events, "doc"), "doc");
+      expect(events).toEqual(["root doc setup", "doc setup", "cursor setup"]);
+
+      logic.unmount();
+    });
+
+    test("dependents wait for an async parent to resolve", async () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(track(events, "early"), "early", {
+        dependsOn: ["map"],
+      });
+      let resolveMap;
+      logic.cache.disposables.add(
+        () =>
+          new Promise((resolve) => {
+            resolveMap = resolve;
+          }),
+        "map",
+      );
+      logic.cache.disposables.add(track(events, "late"), "late", {
+        dependsOn: ["map"],
+      });
+      expect(events).toEqual([]);
+      expect(logic.cache.disposables.isPaused("early")).toBe(true);
+      expect(logic.cache.disposables.isPaused("late")).toBe(true);
+
+      resolveMap(() => events.push("map cleanup"));
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(events).toEqual(["early setup", "late setup"]);
+
+      logic.unmount();
+    });
+
+    test("dependents stay paused when an async parent rejects", async () => {
+      const onError = jest.fn();
+      resetContext({ plugins: [createDisposablesPlugin({ onError })] });
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(track(events, "observer"), "observer", {
+        dependsOn: ["map"],
+      });
+      logic.cache.disposables.add(async () => {
+        throw new Error("no map");
+      }, "map");
+      await Promise.resolve();
+      await Promise.resolve();
+
+      expect(onError).toHaveBeenCalledTimes(1);
+      expect(events).toEqual([]);
+      expect(logic.cache.disposables.isPaused("observer")).toBe(true);
+
+      logic.unmount();
+    });
+  });
+
+  describe("scopes and tags", () => {
+    test("disposing a scope cleans up its entries, including nested scopes", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      const session = logic.cache.disposables.scope("session");
+      const editor = session.scope("editor");
+      logic.cache.disposables.add(track(events, "root"), "root");
+      session.add(track(events, "autosave"), "autosave");
+      editor.add(track(events, "cursor"), "cursor");
+      events.length = 0;
+
+      expect(session.disposeAll()).toBe(2);
+      expect(events).toEqual(["cursor cleanup", "autosave cleanup"]);
+      expect([...logic.cache.disposables.registry.keys()]).toEqual(["root"]);
+
+      // the scope can be used again afterwards
+      session.add(track(events, "autosave"), "autosave");
+      logic.unmount();
+      expect(events).toEqual([
+        "cursor cleanup",
+        "autosave cleanup",
+        "autosave setup",
+        "autosave cleanup",
+        "root cleanup",
+      ]);
+    });
+
+    test("scope keys are namespaced and only reachable through their scope", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      const session = logic.cache.disposables.scope("session");
+      logic.cache.disposables.add(
+        () => () => events.push("root cleanup"),
+        "polling",
+      );
+      session.add(() => () => events.push("session cleanup"), "polling");
+
+      expect([...logic.cache.disposables.registry.keys()]).toEqual([
+        "polling",
+        "session/polling",
+      ]);
+      expect(session.dispose("polling")).toBe(true);
+      expect(events).toEqual(["session cleanup"]);
+      expect(session.dispose("polling")).toBe(false);
+      expect(logic.cache.disposables.dispose("polling")).toBe(true);
+      expect(events).toEqual(["session cleanup", "root cleanup"]);
+
+      logic.unmount();
+    });
+
+    test("disposeByTag removes tagged entries within the scope", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      const session = logic.cache.disposables.scope("session");
+      logic.cache.disposables.add(track(events, "root"), "root", {
+        tags: ["sync"],
+      });
+      session.add(track(events, "cursors"), "cursors", {
+        tags: ["sync", "ui"],
+      });
+      session.add(track(events, "autosave"), "autosave", { tags: ["storage"] });
+      events.length = 0;
+
+      expect(session.disposeByTag("sync")).toBe(1);
+      expect(events).toEqual(["cursors cleanup"]);
+
+      expect(logic.cache.disposables.disposeByTag("sync")).toBe(1);
+      expect(events).toEqual(["cursors cleanup", "root cleanup"]);
+      expect(logic.cache.disposables.disposeByTag("missing")).toBe(0);
+
+      logic.unmount();
+      expect(events).toEqual([
+        "cursors cleanup",
+        "root cleanup",
+        "autosave cleanup",
+      ]);
+    });
+
+    test("scopes can be paused as a whole, and parent pauses reach them", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      const session = logic.cache.disposables.scope("session");
+      logic.cache.disposables.add(track(events, "root"), "root");
+      session.add(track(events, "autosave"), "autosave");
+      events.length = 0;
+
+      session.pause();
+      session.add(track(events, "cursors"), "cursors");
+      expect(events).toEqual(["autosave cleanup"]);
+      expect(session.isPaused("cursors")).toBe(true);
+
+      logic.cache.disposables.pause();
+      session.resume();
+      // still held back by the paused logic
+      expect(events).toEqual(["autosave cleanup", "root cleanup"]);
+
+      logic.cache.disposables.resume();
+      expect(events).toEqual([
+        "autosave cleanup",
+        "root cleanup",
+        "root setup",
+        "autosave setup",
+        "cursors setup",
+      ]);
+
+      logic.unmount();
+    });
+
+    test("resuming one key doesn't undo a pause of its scope", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      const session = logic.cache.disposables.scope("session");
+      const editor = session.scope("editor");
+      editor.add(track(events, "cursors"), "cursors");
+      events.length = 0;
+
+      session.pause();
+      expect(editor.resume("cursors")).toBe(false);
+      expect(editor.isPaused("cursors")).toBe(true);
+      expect(events).toEqual(["cursors cleanup"]);
+
+      session.resume();
+      expect(events).toEqual(["cursors cleanup", "cursors setup"]);
+
+      logic.unmount();
+    });
+
+    test("scopes of a closed manager do nothing", () => {
+      const logic = kea([actions({})]);
+      logic.mount();
+      const session = logic.cache.disposables.scope("session");
+      logic.unmount();
+
+      const setup = jest.fn(() => () => {});
+      expect(session.isActive).toBe(false);
+      session.add(setup, "late");
+      expect(setup).not.toHaveBeenCalled();
+      expect(session.disposeAll()).toBe(0);
+    });
+  });
+
+  describe("dev mode", () => {
+    let logger;
+
+    beforeEach(() => {
+      logger = { error: jest.fn(), warn: jest.fn() };
+    });
+
+    const makeLogic = () =>
+      kea([
+        actions({ setup: true, setupOther: true, setupNothing: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              const id = setInterval(() => {}, 1000);
+              return () => clearInterval(id);
+            });
+          },
+          setupOther: () => {
+            cache.disposables.add(() => () => "other");
+          },
+          setupNothing: () => {
+            cache.disposables.add(() => undefined, "nothing");
+          },
+        })),
+      ]);
+
+    test("warns once when the same setup is added repeatedly without a key", () => {
+      resetContext({
+        plugins: [createDisposablesPlugin({ logger, devMode: true })],
+      });
+      const logic = makeLogic();
+      logic.mount();
+
+      logic.actions.setup();
+      logic.actions.setupOther();
+      expect(logger.warn).not.toHaveBeenCalled();
+
+      logic.actions.setup();
+      logic.actions.setup();
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `The same setup function was added 2 times without a key. Pass a key to add() so it replaces the previous one in logic ${logic.pathString}.`,
+        ),
+      );
+      // includes the call site
+      expect(logger.warn.mock.calls[0][0]).toContain("disposables.js");
+
+      logic.unmount();
+    });
+
+    test("warns when auto-keyed disposables grow past the threshold", () => {
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            logger,
+            devMode: { autoKeyedThreshold: 3 },
+          }),
+        ],
+      });
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      const addUnique = (i) =>
+        logic.cache.disposables.add(new Function(`return () => ${i}`));
+      [1, 2].forEach(addUnique);
+      expect(logger.warn).not.toHaveBeenCalled();
+
+      addUnique(3);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining("3 disposables without a key are alive"),
+      );
+
+      [4, 5].forEach(addUnique);
+      expect(logger.warn).toHaveBeenCalledTimes(1);
+      addUnique(6);
+      expect(logger.warn).toHaveBeenCalledTimes(2);
+      expect(logger.warn).toHaveBeenLastCalledWith(
+        expect.stringContaining("6 disposables without a key are alive"),
+      );
+
+      logic.unmount();
+    });
+
+    test("warns when setup doesn't return a function", () => {
+      resetContext({
+        plugins: [createDisposablesPlugin({ logger, devMode: true })],
+      });
+      const logic = makeLogic();
+      logic.mount();
+
+      logic.actions.setupNothing();
+      expect(logic.cache.disposables.registry.has("nothing")).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `Disposable "nothing" setup returned undefined instead of a cleanup function, so it was dropped in logic ${logic.pathString}.`,
+        ),
+      );
+
+      logic.unmount();
+    });
+
+    test("warns when setup returns null", () => {
+      resetContext({
+        plugins: [createDisposablesPlugin({ logger, devMode: true })],
+      });
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      logic.cache.disposables.add(() => null, "nothing");
+      expect(logic.cache.disposables.registry.has("nothing")).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          `Disposable "nothing" setup returned null instead of a cleanup function, so it was dropped in logic ${logic.pathString}.`,
+        ),
+      );
+
+      logic.unmount();
+    });
+
+    test("stays quiet without dev mode", () => {
+      resetContext({
+        plugins: [createDisposablesPlugin({ logger })],
+      });
+      const logic = makeLogic();
+      logic.mount();
+
+      logic.actions.setup();
+      logic.actions.setup();
+      logic.actions.setupNothing();
+      expect(logger.warn).not.toHaveBeenCalled();
+
+      logic.unmount();
+    });
+
+    describe("strict mode", () => {
+      const strictPlugin = (strictMode) =>
+        createDisposablesPlugin({ logger, devMode: { strictMode } });
+
+      test("runs setup, cleanup and setup again, quietly when cleanup is right", () => {
+        resetContext({ plugins: [strictPlugin(true)] });
+        const events = [];
+        const logic = kea([actions({})]);
+        logic.mount();
+        const { setTimeout: originalSetTimeout, addEventListener } = window;
+
+        logic.cache.disposables.add((signal, { reason }) => {
+          events.push(`setup ${reason}`);
+          const onResize = () => {};
+          window.addEventListener("resize", onResize, { capture: true });
+          const id = setInterval(() => {}, 1000);
+          return () => {
+            events.push("cleanup");
+            window.removeEventListener("resize", onResize, true);
+            clearInterval(id);
+          };
+        }, "resize");
+
+        expect(events).toEqual(["setup add", "cleanup", "setup add"]);
+        expect(logger.warn).not.toHaveBeenCalled();
+        expect(window.setTimeout).toBe(originalSetTimeout);
+        expect(window.addEventListener).toBe(addEventListener);
+        expect(Object.hasOwn(document, "addEventListener")).toBe(false);
+
+        logic.unmount();
+        expect(events).toEqual(["setup add", "cleanup", "setup add", "cleanup"]);
+      });
+
+      test("warns when cleanup leaves listeners or timers behind", () => {
+        resetContext({ plugins: [strictPlugin(true)] });
+        const logic = kea([actions({})]);
+        logic.mount();
+
+        logic.cache.disposables.add(() => {
+          document.addEventListener("keydown", () => {});
+          setTimeout(() => {}, 1000);
+          setTimeout(() => {}, 1000);
+          // removes a different function than the one it added
+          return () => document.removeEventListener("keydown", () => {});
+        }, "shortcuts");
+
+        expect(logger.warn).toHaveBeenCalledTimes(1);
+        expect(logger.warn).toHaveBeenCalledWith(
+          expect.stringContaining(
+            `Disposable "shortcuts" left 1 event listener and 2 timers behind after its cleanup ran. Make sure the cleanup removes the very same handler it added and clears every timer in logic ${logic.pathString}.`,
+          ),
+        );
+
+        logic.unmount();
+      });
+
+      test("pauseResume pauses and resumes every new disposable once", () => {
+        resetContext({
+          plugins: [strictPlugin({ pauseResume: true })],
+        });
+        const events = [];
+        let runs = 0;
+        const logic = kea([actions({})]);
+        logic.mount();
+
+        logic.cache.disposables.add((signal, { reason }) => {
+          runs++;
+          events.push(`setup ${reason}`);
+          const onScroll = () => {};
+          window.addEventListener("scroll", onScroll);
+          // a cleanup that only works the first time
+          const firstRun = runs === 1;
+          return () => {
+            events.push("cleanup");
+            if (firstRun) {
+              window.removeEventListener("scroll", onScroll);
+            }
+          };
+        }, "scroll");
+
+        expect(events).toEqual([
+          "setup add",
+          "cleanup",
+          "setup add",
+          "cleanup",
+          "setup resume",
+        ]);
+        expect(logic.cache.disposables.isPaused("scroll")).toBe(false);
+        expect(logger.warn).toHaveBeenCalledWith(
+          expect.stringContaining(
+            `Disposable "scroll" left 1 event listener behind when paused.`,
+          ),
+        );
+
+        logic.unmount();
+      });
+    });
+  });
+
+  describe("singleton", () => {
+    let otherTab;
+    let received;
+    let events;
+
+    const makeLogic = (options) =>
+      kea([
+        actions({}),
+        afterMount(({ cache }) => {
+          cache.disposables.add(
+            (signal, { reason }) => {
+              events.push(`setup ${reason}`);
+              return () => events.push("cleanup");
+            },
+            "socket",
+            {
+              singleton: "notifications-socket",
+              pauseOnPageHidden: false,
+              ...options,
+            },
+          );
+        }),
+      ]);
+
+    const sent = (type) =>
+      received.filter((message) => message.type === type).length;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      const network = createInMemoryLeaderNetwork();
+      otherTab = network.connect();
+      received = [];
+      events = [];
+      otherTab.subscribe((message) => received.push(message));
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            leaderElection: { channel: network.connect(), tabId: "tab-b" },
+          }),
+        ],
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("leads when no other tab replies to its claim", async () => {
+      const logic = makeLogic();
+      logic.mount();
+      expect(logic.cache.disposables.isPaused("socket")).toBe(true);
+      expect(getDisposablesSnapshot()[logic.pathString][0].pausedBy).toEqual([
+        "singleton:notifications-socket",
+      ]);
+      await jest.advanceTimersByTimeAsync(0);
+      expect(received).toEqual([
+        { type: "claim", name: "notifications-socket", from: "tab-b" },
+      ]);
+
+      await jest.advanceTimersByTimeAsync(200);
+      expect(events).toEqual(["setup add"]);
+      expect(sent("leader")).toBe(1);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(sent("leader")).toBe(2);
+
+      logic.unmount();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(events).toEqual(["setup add", "cleanup"]);
+      expect(received[received.length - 1]).toEqual({
+        type: "release",
+        name: "notifications-socket",
+        from: "tab-b",
+      });
+    });
+
+    test("follows the leading tab and takes over when it releases", async () => {
+      let otherTabLeads = true;
+      otherTab.subscribe((message) => {
+        if (message.type === "claim" && otherTabLeads) {
+          otherTab.postMessage({
+            type: "leader",
+            name: message.name,
+            from: "tab-a",
+          });
+        }
+      });
+      const logic = makeLogic();
+      logic.mount();
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(events).toEqual([]);
+      expect(logic.cache.disposables.isPaused("socket")).toBe(true);
+
+      otherTabLeads = false;
+      otherTab.postMessage({
+        type: "release",
+        name: "notifications-socket",
+        from: "tab-a",
+      });
+      await jest.advanceTimersByTimeAsync(200);
+      expect(events).toEqual(["setup add"]);
+
+      logic.unmount();
+    });
+
+    test("takes over once the leader stops sending heartbeats", async () => {
+      const logic = makeLogic();
+      logic.mount();
+      otherTab.postMessage({
+        type: "leader",
+        name: "notifications-socket",
+        from: "tab-a",
+      });
+
+      await jest.advanceTimersByTimeAsync(2999);
+      expect(events).toEqual([]);
+      await jest.advanceTimersByTimeAsync(1 + 200);
+      expect(events).toEqual(["setup add"]);
+
+      logic.unmount();
+    });
+
+    test("when two tabs lead at once, the lowest id keeps leading", async () => {
+      const logic = makeLogic();
+      logic.mount();
+      await jest.advanceTimersByTimeAsync(200);
+      expect(events).toEqual(["setup add"]);
+
+      received = [];
+      otherTab.postMessage({
+        type: "leader",
+        name: "notifications-socket",
+        from: "tab-c",
+      });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(events).toEqual(["setup add"]);
+      expect(sent("leader")).toBe(1);
+
+      otherTab.postMessage({
+        type: "leader",
+        name: "notifications-socket",
+        from: "tab-a",
+      });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(events).toEqual(["setup add", "cleanup"]);
+      expect(logic.cache.disposables.isPaused("socket")).toBe(true);
+
+      logic.unmount();
+    });
+
+    test("replacing the disposable by key keeps the leadership", async () => {
+      const logic = makeLogic();
+      logic.mount();
+      await jest.advanceTimersByTimeAsync(200);
+
+      logic.cache.disposables.add(
+        () => {
+          events.push("setup replacement");
+          return () => {};
+        },
+        "socket",
+        { singleton: "notifications-socket", pauseOnPageHidden: false },
+      );
+      await jest.advanceTimersByTimeAsync(0);
+      expect(events).toEqual(["setup add", "cleanup", "setup replacement"]);
+      expect(sent("release")).toBe(0);
+
+      logic.unmount();
+    });
+
+    test("leaving the page hands the leadership over", async () => {
+      const logic = makeLogic();
+      logic.mount();
+      await jest.advanceTimersByTimeAsync(200);
+
+      window.dispatchEvent(new Event("pagehide"));
+      await jest.advanceTimersByTimeAsync(0);
+      expect(events).toEqual(["setup add", "cleanup"]);
+      expect(sent("release")).toBe(1);
+
+      logic.unmount();
+    });
+
+    test("a paused leader hands the leadership over and claims it again on resume", async () => {
+      const hidden = createFakePauseSource("hidden");
+      const logic = makeLogic({ pauseWhen: [hidden] });
+      logic.mount();
+      await jest.advanceTimersByTimeAsync(200);
+      expect(events).toEqual(["setup add"]);
+
+      received = [];
+      hidden.pause();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(events).toEqual(["setup add", "cleanup"]);
+      expect(sent("release")).toBe(1);
+
+      // nobody took over while paused, so it claims again
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(sent("claim")).toBe(0);
+      hidden.resume();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(sent("claim")).toBe(1);
+      expect(logic.cache.disposables.isPaused("socket")).toBe(true);
+      await jest.advanceTimersByTimeAsync(200);
+      expect(events).toEqual(["setup add", "cleanup", "setup resume"]);
+
+      logic.unmount();
+    });
+
+    test("a paused tab follows the tab that took over instead of claiming", async () => {
+      const hidden = createFakePauseSource("hidden");
+      const logic = makeLogic({ pauseWhen: [hidden] });
+      logic.mount();
+      await jest.advanceTimersByTimeAsync(200);
+      hidden.pause();
+      await jest.advanceTimersByTimeAsync(0);
+      otherTab.postMessage({
+        type: "leader",
+        name: "notifications-socket",
+        from: "tab-a",
+      });
+      await jest.advanceTimersByTimeAsync(0);
+
+      received = [];
+      hidden.resume();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(sent("claim")).toBe(0);
+      expect(events).toEqual(["setup add", "cleanup"]);
+      expect(getDisposablesSnapshot()[logic.pathString][0].pausedBy).toEqual([
+        "singleton:notifications-socket",
+      ]);
+
+      logic.unmount();
+    });
+
+    test("without a channel, singletons run right away", () => {
+      resetContext({
+        plugins: [createDisposablesPlugin({ leaderElection: { channel: null } })],
+      });
+      const logic = makeLogic();
+      logic.mount();
+      expect(events).toEqual(["setup add"]);
+
+      logic.unmount();
+    });
+  });
+
+  describe("share", () => {
+    let events;
+    let created;
+
+    const createStream = (signal) => {
+      const stream = { id: ++created, signal };
+      events.push(`open ${stream.id}`);
+      return {
+        resource: stream,
+        cleanup: () => events.push(`close ${stream.id}`),
+      };
+    };
+
+    const makeLogic = () =>
+      kea([
+        key((props) => props.id),
+        afterMount(({ cache }) => {
+          cache.stream = cache.disposables.share("sse:/events", createStream);
+        }),
+      ]);
+
+    beforeEach(() => {
+      events = [];
+      created = 0;
+    });
+
+    test("sets up once for every logic and cleans up after the last one", () => {
+      const logic = makeLogic();
+      const first = logic({ id: 1 });
+      const second = logic({ id: 2 });
+      first.mount();
+      second.mount();
+      expect(events).toEqual(["open 1"]);
+      expect(first.cache.stream).toBe(second.cache.stream);
+      expect(first.cache.disposables.getShared("sse:/events")).toBe(
+        first.cache.stream,
+      );
+
+      first.unmount();
+      expect(events).toEqual(["open 1"]);
+      second.unmount();
+      expect(events).toEqual(["open 1", "close 1"]);
+      expect(second.cache.stream.signal.aborted).toBe(true);
+
+      const third = logic({ id: 3 });
+      third.mount();
+      expect(events).toEqual(["open 1", "close 1", "open 2"]);
+      third.unmount();
+    });
+
+    test("only pauses once every holder is paused", () => {
+      const logic = makeLogic();
+      const first = logic({ id: 1 });
+      const second = logic({ id: 2 });
+      first.mount();
+      second.mount();
+
+      first.cache.disposables.pause("sse:/events");
+      expect(events).toEqual(["open 1"]);
+      second.cache.disposables.pause("sse:/events");
+      expect(events).toEqual(["open 1", "close 1"]);
+      expect(first.cache.disposables.getShared("sse:/events")).toBe(null);
+
+      second.cache.disposables.resume("sse:/events");
+      first.cache.disposables.resume("sse:/events");
+      expect(events).toEqual(["open 1", "close 1", "open 2"]);
+      expect(first.cache.disposables.getShared("sse:/events").id).toBe(2);
+
+      first.unmount();
+      second.unmount();
+      expect(events).toEqual(["open 1", "close 1", "open 2", "close 2"]);
+    });
+
+    test("sharing again from the same logic holds it once, dispose lets go", () => {
+      const logic = kea([actions({})]);
+      const other = kea([actions({})]);
+      logic.mount();
+      other.mount();
+      const stream = logic.cache.disposables.share("sse:/events", createStream);
+      expect(logic.cache.disposables.share("sse:/events", createStream)).toBe(
+        stream,
+      );
+      expect(other.cache.disposables.share("sse:/events", createStream)).toBe(
+        stream,
+      );
+
+      other.cache.disposables.dispose("sse:/events");
+      expect(events).toEqual(["open 1"]);
+      logic.cache.disposables.dispose("sse:/events");
+      expect(events).toEqual(["open 1", "close 1"]);
+
+      logic.unmount();
+      other.unmount();
+    });
+
+    test("sharing after unmount doesn't hand out the resource of other logics", () => {
+      const logic = kea([actions({})]);
+      const other = kea([actions({})]);
+      logic.mount();
+      other.mount();
+      other.cache.disposables.share("sse:/events", createStream);
+      const manager = logic.cache.disposables;
+      logic.unmount();
+
+      expect(manager.share("sse:/events", createStream)).toBe(null);
+      other.unmount();
+      expect(events).toEqual(["open 1", "close 1"]);
+    });
+
+    test("dependents get the resource with getShared", () => {
+      const observed = [];
+      const logic = kea([
+        afterMount(({ cache }) => {
+          cache.disposables.share("sse:/events", createStream);
+          cache.disposables.add(
+            () => {
+              observed.push(cache.disposables.getShared("sse:/events").id);
+              return () => {};
+            },
+            "listener",
+            { dependsOn: ["sse:/events"] },
+          );
+        }),
+      ]);
+      logic.mount();
+      logic.cache.disposables.pause("sse:/events");
+      logic.cache.disposables.resume("sse:/events");
+      expect(observed).toEqual([1, 2]);
+
+      logic.unmount();
+    });
+
+    test("setup errors are reported for the holder", () => {
+      const onError = jest.fn();
+      resetContext({ plugins: [createDisposablesPlugin({ onError })] });
+      const error = new Error("stream failed");
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      expect(
+        logic.cache.disposables.share("sse:/events", () => {
+          throw error;
+        }),
+      ).toBe(null);
+      expect(onError).toHaveBeenCalledWith(error, {
+        logicPath: logic.pathString,
+        key: "sse:/events",
+        phase: "setup",
+      });
+
+      logic.unmount();
+    });
+  });
+
+  describe("explicit resource management", () => {
+    // jsdom doesn't have Symbol.dispose yet, the plugin falls back to these
+    const dispose = Symbol.for("Symbol.dispose");
+    const asyncDispose = Symbol.for("Symbol.asyncDispose");
+
+    const createHandle = (events, name) => ({
+      [dispose]() {
+        events.push(`${name} disposed`);
+      },
+    });
+
+    test("setup can return a disposable object", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(
+        () => createHandle(events, "socket"),
+        "socket",
+      );
+
+      logic.cache.disposables.pause("socket");
+      expect(events).toEqual(["socket disposed"]);
+      logic.cache.disposables.resume("socket");
+      logic.cache.disposables.dispose("socket");
+      expect(events).toEqual(["socket disposed", "socket disposed"]);
+
+      logic.unmount();
+    });
+
+    test("Symbol.asyncDispose goes first and is awaited", async () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(
+        async () => ({
+          ...createHandle(events, "sync"),
+          async [asyncDispose]() {
+            await Promise.resolve();
+            events.push("async disposed");
+          },
+        }),
+        "player",
+      );
+      await Promise.resolve();
+
+      await logic.cache.disposables.disposeAsync("player");
+      expect(events).toEqual(["async disposed"]);
+
+      logic.unmount();
+    });
+
+    test("use takes care of existing resources and never pauses them", () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      const handle = createHandle(events, "stack");
+      expect(logic.cache.disposables.use(handle, "stack")).toBe(handle);
+      expect(logic.cache.disposables.use(null)).toBe(null);
+
+      logic.cache.disposables.pause();
+      expect(logic.cache.disposables.isPaused("stack")).toBe(false);
+      expect(events).toEqual([]);
+      logic.cache.disposables.resume();
+
+      logic.cache.disposables.use(createHandle(events, "other"), "stack");
+      expect(events).toEqual(["stack disposed"]);
+      const manager = logic.cache.disposables;
+      logic.unmount();
+      expect(events).toEqual(["stack disposed", "other disposed"]);
+
+      // nothing would dispose it after the logic unmounted, so it goes right away
+      manager.use(createHandle(events, "late"));
+      expect(events).toEqual([
+        "stack disposed",
+        "other disposed",
+        "late disposed",
+      ]);
+    });
+
+    test("several use() calls without a key aren't taken for a duplicate setup", () => {
+      const logger = { error: jest.fn(), warn: jest.fn() };
+      resetContext({
+        plugins: [createDisposablesPlugin({ logger, devMode: true })],
+      });
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      logic.cache.disposables.use(createHandle(events, "first"));
+      logic.cache.disposables.use(createHandle(events, "second"));
+      expect(logger.warn).not.toHaveBeenCalled();
+
+      logic.unmount();
+    });
+
+    test("use rejects values that aren't disposable", () => {
+      const logic = kea([actions({})]);
+      logic.mount();
+
+      expect(() => logic.cache.disposables.use({}, "nothing")).toThrow(
+        "[KEA] cache.disposables.use() takes an object with a Symbol.dispose or Symbol.asyncDispose method. Pass setup functions to add() instead.",
+      );
+      expect(() => logic.cache.disposables.use(() => {})).toThrow(
+        "[KEA] cache.disposables.use()",
+      );
+
+      logic.unmount();
+    });
+
+    test("scopes and the manager dispose everything on Symbol.dispose", async () => {
+      const events = [];
+      const logic = kea([actions({})]);
+      logic.mount();
+      const request = logic.cache.disposables.scope("request");
+      request.add(() => () => events.push("request cleanup"), "abort");
+      logic.cache.disposables.add(
+        () => async () => {
+          await Promise.resolve();
+          events.push("polling cleanup");
+        },
+        "polling",
+      );
+
+      request[dispose]();
+      expect(events).toEqual(["request cleanup"]);
+      expect(logic.cache.disposables.isActive).toBe(true);
+
+      await logic.cache.disposables[asyncDispose]();
+      expect(events).toEqual(["request cleanup", "polling cleanup"]);
+      expect(logic.cache.disposables.registry.size).toBe(0);
+
+      logic.unmount();
+    });
+  });
+
+  describe("kea contexts", () => {
+    test("resetContext cleans up live disposables and detaches pause sources", () => {
+      const events = [];
+      const unsubscribe = jest.fn();
+      const source = {
+        name: "fake",
+        subscribe: jest.fn(() => unsubscribe),
+        shouldPause: () => false,
+      };
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(
+        () => {
+          events.push("setup");
+          return () => events.push("cleanup");
+        },
+        "polling",
+        { pauseWhen: [source] },
+      );
+      const manager = logic.cache.disposables;
+
+      resetContext({ plugins: [disposablesPlugin] });
+      expect(events).toEqual(["setup", "cleanup"]);
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+      expect(manager.isActive).toBe(false);
+
+      // late calls into the old context are safe
+      manager.add(() => () => events.push("late cleanup"), "late");
+      expect(events).toEqual(["setup", "cleanup"]);
+    });
+
+    test("each context only sees its own disposables", async () => {
+      const firstListener = jest.fn();
+      subscribeToDisposables(firstListener);
+      const first = kea([actions({})]);
+      first.mount();
+      first.cache.disposables.add(() => () => {}, "first");
+      await Promise.resolve();
+      expect(firstListener).toHaveBeenCalledTimes(1);
+
+      resetContext({ plugins: [disposablesPlugin] });
+      expect(getDisposablesSnapshot()).toEqual({});
+
+      const second = kea([actions({})]);
+      second.mount();
+      second.cache.disposables.add(() => () => {}, "second");
+      await Promise.resolve();
+      expect(Object.values(getDisposablesSnapshot())).toEqual([
+        [expect.objectContaining({ key: "second" })],
+      ]);
+      expect(firstListener).toHaveBeenCalledTimes(1);
+
+      second.unmount();
+    });
+
+    test("subscribing needs the plugin in the current context", () => {
+      resetContext({ plugins: [] });
+      expect(getDisposablesSnapshot()).toEqual({});
+      expect(() => subscribeToDisposables(() => {})).toThrow(
+        "disposables plugin is not installed",
+      );
+    });
+  });
+
+  describe("introspection", () => {
+    const makeLogic = () =>
+      kea([
+        actions({ addAuto: true }),
+        disposables({
+          polling: { setup: () => () => {}, priority: 5 },
+        }),
+        listeners(({ cache }) => ({
+          addAuto: () => {
+            cache.disposables.add(() => () => {});
+          },
+        })),
+      ]);
+
+    test("snapshot lists live disposables per logic path", () => {
+      const logic = makeLogic();
+      logic.mount();
+      logic.actions.addAuto();
+      logic.cache.disposables.pause("polling");
+
+      const snapshot = getDisposablesSnapshot();
+      expect(Object.keys(snapshot)).toEqual([logic.pathString]);
+      expect(snapshot[logic.pathString]).toEqual([
+        {
+          key: "polling",
+          autoKeyed: false,
+          options: expect.objectContaining({ priority: 5 }),
+          paused: true,
+          pausedBy: ["manual"],
+          createdAt: expect.any(Number),
+          setupCount: 1,
+          expiresAt: null,
+          failed: false,
+          failedAttempts: 0,
+          retryAt: null,
+        },
+        {
+          key: "__auto_0",
+          autoKeyed: true,
+          options: expect.objectContaining({ pauseOnPageHidden: true }),
+          paused: false,
+          pausedBy: [],
+          createdAt: expect.any(Number),
+          setupCount: 1,
+          expiresAt: null,
+          failed: false,
+          failedAttempts: 0,
+          retryAt: null,
+        },
+      ]);
+
+      logic.cache.disposables.resume("polling");
+      expect(getDisposablesSnapshot()[logic.pathString][0]).toMatchObject({
+        paused: false,
+        setupCount: 2,
+      });
+
+      logic.unmount();
+      expect(getDisposablesSnapshot()).toEqual({});
+    });
+
+    test("subscribers get one batched snapshot per change burst", async () => {
+      const listener = jest.fn();
+      const unsubscribe = subscribeToDisposables(listener);
+      const logic = makeLogic();
+
+      logic.mount();
+      logic.actions.addAuto();
+      logic.actions.addAuto();
+      expect(listener).not.toHaveBeenCalled();
+
+      await Promise.resolve();
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0][logic.pathString]).toHaveLength(3);
+
+      logic.cache.disposables.dispose("polling");
+      await Promise.resolve();
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[1][0][logic.pathString]).toHaveLength(2);
+
+      unsubscribe();
+      logic.unmount();
+      await Promise.resolve();
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    test("a throwing subscriber doesn't keep the snapshot from the others", async () => {
+      const logger = { error: jest.fn(), warn: jest.fn() };
+      resetContext({ plugins: [createDisposablesPlugin({ logger })] });
+      const error = new Error("subscriber boom");
+      subscribeToDisposables(() => {
+        throw error;
+      });
+      const listener = jest.fn();
+      subscribeToDisposables(listener);
+      const logic = makeLogic();
+
+      logic.mount();
+      await Promise.resolve();
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(logger.error).toHaveBeenCalledWith(
+        "[KEA] Disposables snapshot listener failed:",
+        error,
+      );
+
+      logic.unmount();
+    });
+
+    test("devtools option exposes the API on window", () => {
+      resetContext({
+        plugins: [createDisposablesPlugin({ devtools: true })],
+      });
+      const tableSpy = jest.spyOn(console, "table").mockImplementation(() => {});
+      const logic = makeLogic();
+      logic.mount();
+
+      expect(window.__KEA_DISPOSABLES__.getSnapshot()).toEqual(
+        getDisposablesSnapshot(),
+      );
+      window.__KEA_DISPOSABLES__.print();
+      expect(tableSpy).toHaveBeenCalledWith([
+        expect.objectContaining({
+          logicPath: logic.pathString,
+          key: "polling",
+          autoKeyed: false,
+        }),
+      ]);
+
+      logic.unmount();
+      tableSpy.mockRestore();
+      delete window.__KEA_DISPOSABLES__;
+    });
+  });
+
+  describe("lifecycle events", () => {
+    let events;
+
+    beforeEach(() => {
+      events = [];
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({ onEvent: (event) => events.push(event) }),
+        ],
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const summarize = () =>
+      events.map(({ type, key, reason }) => [type, key, reason]);
+
+    test("reports setup, cleanup, pause, resume, replace and dispose with reasons", () => {
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(() => () => {}, "polling");
+      expect(events[0]).toEqual({
+        type: "setup",
+        logicPath: logic.pathString,
+        key: "polling",
+        reason: "add",
+        startTime: expect.any(Number),
+        durationMs: expect.any(Number),
+      });
+      logic.cache.disposables.add(() => () => {}, "polling");
+      logic.cache.disposables.pause("polling");
+      logic.cache.disposables.resume("polling");
+      logic.cache.disposables.dispose("polling");
+      logic.cache.disposables.add(() => () => {}, "socket");
+      logic.unmount();
+
+      expect(summarize()).toEqual([
+        ["setup", "polling", "add"],
+        ["cleanup", "polling", "replace"],
+        ["setup", "polling", "replace"],
+        ["replace", "polling", "replace"],
+        ["pause", "polling", "manual"],
+        ["resume", "polling", "manual"],
+        ["cleanup", "polling", "dispose"],
+        ["dispose", "polling", "dispose"],
+        ["setup", "socket", "add"],
+        ["cleanup", "socket", "unmount"],
+      ]);
+    });
+
+    test("async setups and cleanups are timed until they settle", async () => {
+      jest.useFakeTimers();
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return () => new Promise((resolve) => setTimeout(resolve, 50));
+      }, "socket");
+
+      expect(events).toEqual([]);
+      await jest.advanceTimersByTimeAsync(100);
+      expect(events).toMatchObject([{ type: "setup", durationMs: 100 }]);
+
+      const disposing = logic.cache.disposables.disposeAsync("socket");
+      await jest.advanceTimersByTimeAsync(50);
+      await disposing;
+      expect(events.slice(1)).toMatchObject([
+        { type: "cleanup", reason: "dispose", durationMs: 50 },
+        { type: "dispose", reason: "dispose", durationMs: 50 },
+      ]);
+
+      logic.unmount();
+    });
+
+    test("resume events name the pause source that was lifted", () => {
+      const source = {
+        name: "network",
+        paused: false,
+        listeners: new Set(),
+        subscribe(onChange) {
+          this.listeners.add(onChange);
+          return () => this.listeners.delete(onChange);
+        },
+        shouldPause() {
+          return this.paused;
+        },
+        set(paused) {
+          this.paused = paused;
+          this.listeners.forEach((onChange) => onChange());
+        },
+      };
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(() => () => {}, "polling", {
+        pauseWhen: [source],
+      });
+
+      source.set(true);
+      source.set(false);
+      expect(summarize().slice(1)).toEqual([
+        ["pause", "polling", "network"],
+        ["resume", "polling", "network"],
+      ]);
+
+      logic.unmount();
+    });
+
+    test("errors are reported with their phase and the error", () => {
+      const onError = jest.fn();
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            onError,
+            onEvent: (event) => events.push(event),
+          }),
+        ],
+      });
+      const error = new Error("connect failed");
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(() => {
+        throw error;
+      }, "socket");
+
+      expect(events).toEqual([
+        {
+          type: "error",
+          logicPath: logic.pathString,
+          key: "socket",
+          reason: "setup",
+          startTime: expect.any(Number),
+          durationMs: 0,
+          error,
+        },
+      ]);
+      expect(onError).toHaveBeenCalledTimes(1);
+
+      logic.unmount();
+    });
+
+    test("subscribeToDisposableEvents listens to the current context", () => {
+      const listener = jest.fn();
+      const unsubscribe = subscribeToDisposableEvents(listener);
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(() => () => {}, "polling");
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "setup", key: "polling" }),
+      );
+
+      unsubscribe();
+      logic.cache.disposables.dispose("polling");
+      expect(listener).toHaveBeenCalledTimes(1);
+      logic.unmount();
+
+      resetContext({ plugins: [] });
+      expect(() => subscribeToDisposableEvents(listener)).toThrow(
+        "[KEA] subscribeToDisposableEvents() was called, but the disposables plugin is not installed in the current kea context.",
+      );
+    });
+
+    test("a throwing listener is logged and doesn't stop the others", () => {
+      const logger = { error: jest.fn(), warn: jest.fn() };
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            logger,
+            onEvent: () => {
+              throw new Error("listener failed");
+            },
+          }),
+        ],
+      });
+      const listener = jest.fn();
+      subscribeToDisposableEvents(listener);
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(() => () => {}, "polling");
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(logger.error).toHaveBeenCalledWith(
+        `[KEA] Disposable event listener failed in logic ${logic.pathString}:`,
+        expect.any(Error),
+      );
+
+      logic.unmount();
+    });
+
+    test("performanceMarks records measures and error marks", () => {
+      const measure = jest.fn();
+      const mark = jest.fn();
+      performance.measure = measure;
+      performance.mark = mark;
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            performanceMarks: true,
+            onError: () => {},
+          }),
+        ],
+      });
+      const logic = kea([actions({})]);
+      logic.mount();
+      logic.cache.disposables.add(() => () => {}, "polling");
+      logic.cache.disposables.add(() => {
+        throw new Error("connect failed");
+      }, "socket");
+
+      expect(measure).toHaveBeenCalledWith(
+        `kea-disposables setup ${logic.pathString} polling`,
+        {
+          start: expect.any(Number),
+          duration: expect.any(Number),
+          detail: expect.objectContaining({ type: "setup", key: "polling" }),
+        },
+      );
+      expect(mark).toHaveBeenCalledWith(
+        `kea-disposables error ${logic.pathString} socket`,
+        {
+          startTime: expect.any(Number),
+          detail: expect.objectContaining({ type: "error", key: "socket" }),
+        },
+      );
+
+      logic.unmount();
+      delete performance.measure;
+      delete performance.mark;
+    });
+  });
+
+  describe("visibility-based pause/resume", () => {
+    let visibilityChangeCallback = null;
+
+    beforeEach(() => {
+      resetContext({
+        plugins: [disposablesPlugin],
+      });
+
+      jest
+        .spyOn(document, "addEventListener")
+        .mockImplementation((event, callback) => {
+          if (event === "visibilitychange") {
+            visibilityChangeCallback = callback;
+          }
+        });
+
+      Object.defineProperty(document, "hidden", {
+        configurable: true,
+        writable: true,
+        value: false,
+      });
+    });
+
+    afterEach(() => {
+      visibilityChangeCallback = null;
+      jest.restoreAllMocks();
+    });
+
+    const setDocumentHidden = (hidden) => {
+      Object.defineProperty(document, "hidden", {
+        configurable: true,
+        writable: true,
+        value: hidden,
+      });
+    };
+
+    test("disposables pause when page becomes hidden", () => {
+      const events = [];
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              events.push("setup");
+              return () => events.push("cleanup");
+            }, "test");
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+      expect(events).toEqual(["setup"]);
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      expect(events).toEqual(["setup", "cleanup"]);
+
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      expect(events).toEqual(["setup", "cleanup", "setup"]);
+
+      logic.unmount();
+      expect(events).toEqual(["setup", "cleanup", "setup", "cleanup"]);
+    });
+
+    test("disposables with pauseOnPageHidden: false do NOT pause", () => {
+      const events = [];
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(
+              () => {
+                events.push("setup");
+                return () => events.push("cleanup");
+              },
+              "test",
+              { pauseOnPageHidden: false },
+            );
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+      expect(events).toEqual(["setup"]);
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      expect(events).toEqual(["setup"]);
+
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      expect(events).toEqual(["setup"]);
+
+      logic.unmount();
+      expect(events).toEqual(["setup", "cleanup"]);
+    });
+
+    test("multiple disposables pause and resume together", () => {
+      const events = [];
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              events.push("first-setup");
+              return () => events.push("first-cleanup");
+            }, "first");
+
+            cache.disposables.add(() => {
+              events.push("second-setup");
+              return () => events.push("second-cleanup");
+            }, "second");
+
+            cache.disposables.add(
+              () => {
+                events.push("nopause-setup");
+                return () => events.push("nopause-cleanup");
+              },
+              "nopause",
+              { pauseOnPageHidden: false },
+            );
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+      expect(events).toEqual(["first-setup", "second-setup", "nopause-setup"]);
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      expect(events).toEqual([
+        "first-setup",
+        "second-setup",
+        "nopause-setup",
+        "second-cleanup",
+        "first-cleanup",
+      ]);
+
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      expect(events).toEqual([
+        "first-setup",
+        "second-setup",
+        "nopause-setup",
+        "second-cleanup",
+        "first-cleanup",
+        "first-setup",
+        "second-setup",
+      ]);
+    });
+
+    test("disposables across multiple logics all pause/resume", () => {
+      const logic1Events = [];
+      const logic2Events = [];
+
+      const logic1 = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              logic1Events.push("setup");
+              return () => logic1Events.push("cleanup");
+            });
+          },
+        })),
+      ]);
+
+      const logic2 = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              logic2Events.push("setup");
+              return () => logic2Events.push("cleanup");
+            });
+          },
+        })),
+      ]);
+
+      logic1.mount();
+      logic1.actions.setup();
+      logic2.mount();
+      logic2.actions.setup();
+
+      expect(logic1Events).toEqual(["setup"]);
+      expect(logic2Events).toEqual(["setup"]);
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+
+      expect(logic1Events).toEqual(["setup", "cleanup"]);
+      expect(logic2Events).toEqual(["setup", "cleanup"]);
+
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+
+      expect(logic1Events).toEqual(["setup", "cleanup", "setup"]);
+      expect(logic2Events).toEqual(["setup", "cleanup", "setup"]);
+    });
+
+    test("real-world setInterval pauses and resumes", () => {
+      jest.useFakeTimers();
+      const pollCalls = [];
+
+      const logic = kea([
+        actions({ startPolling: true }),
+        listeners(({ cache }) => ({
+          startPolling: () => {
+            cache.disposables.add(() => {
+              const intervalId = setInterval(() => {
+                pollCalls.push(Date.now());
+              }, 1000);
+              return () => clearInterval(intervalId);
+            }, "polling");
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.startPolling();
+
+      jest.advanceTimersByTime(3000);
+      expect(pollCalls).toHaveLength(3);
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+
+      const beforeHidden = pollCalls.length;
+
+      jest.advanceTimersByTime(3000);
+      expect(pollCalls).toHaveLength(beforeHidden);
+
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+
+      jest.advanceTimersByTime(3000);
+      expect(pollCalls).toHaveLength(beforeHidden + 3);
+
+      jest.useRealTimers();
+    });
+
+    test("visibility listener only attached once globally", () => {
+      const addEventListener = jest.spyOn(document, "addEventListener");
+
+      const logic1 = kea([actions({}), listeners(() => ({}))]);
+      const logic2 = kea([actions({}), listeners(() => ({}))]);
+      const logic3 = kea([actions({}), listeners(() => ({}))]);
+
+      logic1.mount();
+      logic2.mount();
+      logic3.mount();
+
+      const visibilityListenerCount = addEventListener.mock.calls.filter(
+        ([event]) => event === "visibilitychange",
       ).length;
 
       expect(visibilityListenerCount).toBe(1);
@@ -765,5 +3682,528 @@ describe("disposables", () => {
 
       consoleSpy.mockRestore();
     });
+
+    test("pausing aborts a pending async setup and resume runs it again", async () => {
+      const events = [];
+      const signals = [];
+      const resolvers = [];
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add((signal) => {
+              const run = signals.push(signal);
+              return new Promise((resolve) => {
+                resolvers.push(() =>
+                  resolve(() => events.push(`cleanup-${run}`)),
+                );
+              });
+            }, "async");
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      expect(signals[0].aborted).toBe(true);
+
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      expect(signals).toHaveLength(2);
+      expect(signals[1].aborted).toBe(false);
+
+      // The first run settles late and is cleaned up straight away
+      resolvers[0]();
+      resolvers[1]();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      expect(events).toEqual(["cleanup-1"]);
+
+      logic.unmount();
+      expect(events).toEqual(["cleanup-1", "cleanup-2"]);
+    });
+
+    test("defaultOptions can make pausing opt-in", () => {
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            defaultOptions: { pauseOnPageHidden: false },
+          }),
+        ],
+      });
+      const events = [];
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              events.push("default-setup");
+              return () => events.push("default-cleanup");
+            }, "default");
+            cache.disposables.add(
+              () => {
+                events.push("opted-in-setup");
+                return () => events.push("opted-in-cleanup");
+              },
+              "opted-in",
+              { pauseOnPageHidden: true },
+            );
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+
+      expect(events).toEqual([
+        "default-setup",
+        "opted-in-setup",
+        "opted-in-cleanup",
+        "opted-in-setup",
+      ]);
+      logic.unmount();
+    });
+
+    test("onError reports pause and resume phases", () => {
+      const onError = jest.fn();
+      resetContext({
+        plugins: [createDisposablesPlugin({ onError })],
+      });
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            let runs = 0;
+            cache.disposables.add(() => {
+              runs++;
+              if (runs === 2) {
+                throw new Error("resume error");
+              }
+              return () => {
+                throw new Error("pause error");
+              };
+            }, "flaky");
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+
+      expect(onError.mock.calls.map(([, context]) => context)).toEqual([
+        { logicPath: logic.pathString, key: "flaky", phase: "pause" },
+        { logicPath: logic.pathString, key: "flaky", phase: "resume" },
+      ]);
+      logic.unmount();
+    });
+
+    test("disposables() entries pause and respect per-entry options", () => {
+      const events = [];
+
+      const logic = kea([
+        disposables({
+          polling: () => {
+            events.push("polling setup");
+            return () => events.push("polling cleanup");
+          },
+          navigation: {
+            setup: () => {
+              events.push("navigation setup");
+              return () => events.push("navigation cleanup");
+            },
+            pauseOnPageHidden: false,
+          },
+        }),
+      ]);
+
+      logic.mount();
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+
+      expect(events).toEqual([
+        "polling setup",
+        "navigation setup",
+        "polling cleanup",
+        "polling setup",
+      ]);
+      logic.unmount();
+    });
+
+    test("deps changes while paused only take effect on resume", () => {
+      const events = [];
+
+      const logic = kea([
+        actions({ setInterval: (ms) => ({ ms }) }),
+        reducers({ interval: [1000, { setInterval: (_, { ms }) => ms }] }),
+        disposables(({ values }) => ({
+          polling: {
+            setup: () => {
+              const interval = values.interval;
+              events.push(`setup ${interval}`);
+              return () => events.push(`cleanup ${interval}`);
+            },
+            deps: (values) => [values.interval],
+          },
+        })),
+      ]);
+
+      logic.mount();
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      logic.actions.setInterval(500);
+      logic.actions.setInterval(250);
+      expect(events).toEqual(["setup 1000", "cleanup 1000"]);
+
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      expect(events).toEqual(["setup 1000", "cleanup 1000", "setup 250"]);
+
+      logic.unmount();
+    });
+
+    test("entries added while hidden start paused and set up on resume", () => {
+      const events = [];
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(() => {
+              events.push("setup");
+              return () => events.push("cleanup");
+            }, "late");
+          },
+        })),
+      ]);
+
+      logic.mount();
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      logic.actions.setup();
+      expect(logic.cache.disposables.isPaused("late")).toBe(true);
+      expect(events).toEqual([]);
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      logic.unmount();
+
+      expect(events).toEqual(["setup", "cleanup"]);
+    });
+
+    test("manual and visibility pauses don't undo each other", () => {
+      const events = [];
+
+      const logic = kea([
+        disposables({
+          polling: () => {
+            events.push("setup");
+            return () => events.push("cleanup");
+          },
+        }),
+      ]);
+
+      logic.mount();
+
+      // manual pause, then the page hides and shows again: stays paused
+      logic.cache.disposables.pause("polling");
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      expect(events).toEqual(["setup", "cleanup"]);
+
+      // page hides, then a manual resume: still paused until visible
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      logic.cache.disposables.resume("polling");
+      expect(logic.cache.disposables.isPaused("polling")).toBe(true);
+      expect(events).toEqual(["setup", "cleanup"]);
+
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      expect(events).toEqual(["setup", "cleanup", "setup"]);
+
+      logic.unmount();
+      expect(events).toEqual(["setup", "cleanup", "setup", "cleanup"]);
+    });
+
+    test("setup receives the reason, pause duration and remaining time", () => {
+      jest.useFakeTimers();
+      const contexts = [];
+
+      const logic = kea([
+        actions({ setup: true, setInterval: (ms) => ({ ms }) }),
+        reducers({ interval: [1000, { setInterval: (_, { ms }) => ms }] }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add(
+              (signal, context) => {
+                contexts.push({
+                  reason: context.reason,
+                  pausedForMs: context.pausedForMs,
+                  activeMs: context.activeMs,
+                  remaining: context.remaining(5000),
+                  sameSignal: context.signal === signal,
+                });
+                return () => {};
+              },
+              "timer",
+              { deps: (values) => [values.interval] },
+            );
+          },
+        })),
+      ]);
+
+      logic.mount();
+      logic.actions.setup();
+      jest.advanceTimersByTime(2000);
+
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      jest.advanceTimersByTime(60000);
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+
+      jest.advanceTimersByTime(1000);
+      logic.actions.setInterval(500);
+      logic.actions.setup();
+
+      expect(contexts).toEqual([
+        {
+          reason: "add",
+          pausedForMs: 0,
+          activeMs: 0,
+          remaining: 5000,
+          sameSignal: true,
+        },
+        {
+          reason: "resume",
+          pausedForMs: 60000,
+          activeMs: 2000,
+          remaining: 3000,
+          sameSignal: true,
+        },
+        {
+          reason: "deps",
+          pausedForMs: 0,
+          activeMs: 3000,
+          remaining: 2000,
+          sameSignal: true,
+        },
+        {
+          reason: "replace",
+          pausedForMs: 0,
+          activeMs: 0,
+          remaining: 5000,
+          sameSignal: true,
+        },
+      ]);
+
+      logic.unmount();
+      jest.useRealTimers();
+    });
+
+    test("entries added while hidden get the add reason on their first run", () => {
+      const reasons = [];
+
+      const logic = kea([
+        actions({ setup: true }),
+        listeners(({ cache }) => ({
+          setup: () => {
+            cache.disposables.add((_, { reason }) => {
+              reasons.push(reason);
+              return () => {};
+            }, "late");
+          },
+        })),
+      ]);
+
+      logic.mount();
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      logic.actions.setup();
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+      setDocumentHidden(true);
+      visibilityChangeCallback?.();
+      setDocumentHidden(false);
+      visibilityChangeCallback?.();
+
+      expect(reasons).toEqual(["add", "resume"]);
+      logic.unmount();
+    });
+
+    describe("hide delay and staggered resume", () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      const makeLogic = (events, definitions) =>
+        kea([
+          disposables(
+            Object.fromEntries(
+              Object.entries(definitions).map(([key, options]) => [
+                key,
+                { setup: track(events, key), ...options },
+              ]),
+            ),
+          ),
+        ]);
+
+      test("hideDelayMs only pauses once the page stayed hidden long enough", () => {
+        resetContext({
+          plugins: [createDisposablesPlugin({ hideDelayMs: 1000 })],
+        });
+        const events = [];
+        const logic = makeLogic(events, { polling: {} });
+        logic.mount();
+
+        // a quick alt-tab doesn't pause anything
+        setDocumentHidden(true);
+        visibilityChangeCallback?.();
+        jest.advanceTimersByTime(900);
+        setDocumentHidden(false);
+        visibilityChangeCallback?.();
+        jest.advanceTimersByTime(1000);
+        expect(events).toEqual(["polling setup"]);
+
+        setDocumentHidden(true);
+        visibilityChangeCallback?.();
+        jest.advanceTimersByTime(1000);
+        expect(events).toEqual(["polling setup", "polling cleanup"]);
+
+        setDocumentHidden(false);
+        visibilityChangeCallback?.();
+        expect(events).toEqual([
+          "polling setup",
+          "polling cleanup",
+          "polling setup",
+        ]);
+
+        logic.unmount();
+      });
+
+      test("resumes are staggered with the highest priority first", () => {
+        resetContext({
+          plugins: [createDisposablesPlugin({ resumeStaggerMs: 100 })],
+        });
+        const events = [];
+        const logic = makeLogic(events, {
+          low: { priority: -1 },
+          normal: {},
+          critical: { priority: 10 },
+        });
+        logic.mount();
+
+        setDocumentHidden(true);
+        visibilityChangeCallback?.();
+        events.length = 0;
+
+        setDocumentHidden(false);
+        visibilityChangeCallback?.();
+        expect(events).toEqual(["critical setup"]);
+        expect(logic.cache.disposables.isPaused("normal")).toBe(true);
+
+        jest.advanceTimersByTime(100);
+        expect(events).toEqual(["critical setup", "normal setup"]);
+
+        jest.advanceTimersByTime(100);
+        expect(events).toEqual(["critical setup", "normal setup", "low setup"]);
+
+        logic.unmount();
+      });
+
+      test("entries that stay paused don't take a stagger slot", () => {
+        resetContext({
+          plugins: [createDisposablesPlugin({ resumeStaggerMs: 1000 })],
+        });
+        const events = [];
+        const logic = makeLogic(events, {
+          a: { priority: 5 },
+          b: {},
+        });
+        logic.mount();
+        logic.cache.disposables.pause("a");
+
+        setDocumentHidden(true);
+        visibilityChangeCallback?.();
+        events.length = 0;
+
+        setDocumentHidden(false);
+        visibilityChangeCallback?.();
+        expect(events).toEqual(["b setup"]);
+        expect(logic.cache.disposables.isPaused("a")).toBe(true);
+
+        logic.cache.disposables.resume("a");
+        expect(events).toEqual(["b setup", "a setup"]);
+
+        logic.unmount();
+      });
+
+      test("pending staggered resumes are cancelled by hiding again and by unmount", () => {
+        resetContext({
+          plugins: [createDisposablesPlugin({ resumeJitterMs: 500 })],
+        });
+        jest.spyOn(Math, "random").mockReturnValue(0.5);
+        const events = [];
+        const logic = makeLogic(events, { polling: {} });
+        logic.mount();
+
+        setDocumentHidden(true);
+        visibilityChangeCallback?.();
+        setDocumentHidden(false);
+        visibilityChangeCallback?.();
+        setDocumentHidden(true);
+        visibilityChangeCallback?.();
+        jest.advanceTimersByTime(1000);
+        expect(events).toEqual(["polling setup", "polling cleanup"]);
+
+        setDocumentHidden(false);
+        visibilityChangeCallback?.();
+        jest.advanceTimersByTime(249);
+        expect(events).toEqual(["polling setup", "polling cleanup"]);
+        jest.advanceTimersByTime(1);
+        expect(events).toEqual([
+          "polling setup",
+          "polling cleanup",
+          "polling setup",
+        ]);
+
+        setDocumentHidden(true);
+        visibilityChangeCallback?.();
+        setDocumentHidden(false);
+        visibilityChangeCallback?.();
+        logic.unmount();
+        jest.advanceTimersByTime(1000);
+        expect(events).toEqual([
+          "polling setup",
+          "polling cleanup",
+          "polling setup",
+          "polling cleanup",
+        ]);
+      });
+    });
   });
 });
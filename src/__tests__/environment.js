@@ -0,0 +1,215 @@
+/**
+ * @jest-environment node
+ */
+import { resetContext, kea, actions, listeners, afterMount } from "kea";
+import {
+  createDisposablesPlugin,
+  detectEnvironment,
+  serverEnvironment,
+  browserEnvironment,
+  workerEnvironment,
+  offlinePauseSource,
+  createIdlePauseSource,
+  getDisposablesSnapshot,
+} from "../index";
+
+const OriginalBroadcastChannel = globalThis.BroadcastChannel;
+
+// Collects every BroadcastChannel opened until it is restored
+const recordChannels = () => {
+  const channels = [];
+  globalThis.BroadcastChannel = class extends OriginalBroadcastChannel {
+    constructor(name) {
+      super(name);
+      channels.push(this);
+    }
+  };
+  return channels;
+};
+
+describe("disposables without a document", () => {
+  beforeEach(() => {
+    resetContext({ plugins: [createDisposablesPlugin()] });
+  });
+
+  test("detects the server environment", () => {
+    expect(typeof document).toBe("undefined");
+    expect(detectEnvironment()).toBe(serverEnvironment);
+  });
+
+  test("adding, disposing and unmounting work, and nothing pauses", () => {
+    const events = [];
+    const logic = kea([
+      actions({ start: true }),
+      listeners(({ cache }) => ({
+        start: () => {
+          cache.disposables.add(() => {
+            events.push("polling setup");
+            return () => events.push("polling cleanup");
+          }, "polling");
+          cache.disposables.add(
+            () => {
+              events.push("socket setup");
+              return () => events.push("socket cleanup");
+            },
+            "socket",
+            { pauseWhen: [offlinePauseSource, createIdlePauseSource()] },
+          );
+        },
+      })),
+    ]);
+
+    logic.mount();
+    logic.actions.start();
+    expect(getDisposablesSnapshot()[logic.pathString]).toMatchObject([
+      { key: "polling", paused: false },
+      { key: "socket", paused: false },
+    ]);
+
+    expect(logic.cache.disposables.dispose("polling")).toBe(true);
+    logic.unmount();
+    expect(events).toEqual([
+      "polling setup",
+      "socket setup",
+      "polling cleanup",
+      "socket cleanup",
+    ]);
+  });
+
+  test("singletons run right away without opening a channel", () => {
+    const channels = recordChannels();
+    try {
+      const setup = jest.fn(() => () => {});
+      const logic = kea([
+        afterMount(({ cache }) => {
+          cache.disposables.add(setup, "socket", { singleton: "sock" });
+        }),
+      ]);
+
+      logic.mount();
+      expect(setup).toHaveBeenCalledTimes(1);
+      logic.unmount();
+      expect(channels).toEqual([]);
+    } finally {
+      globalThis.BroadcastChannel = OriginalBroadcastChannel;
+    }
+  });
+
+  test("a custom environment without tabs runs singletons right away", () => {
+    const channels = recordChannels();
+    try {
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            environment: {
+              name: "audio-worklet",
+              hasTabs: false,
+              createVisibilitySource: () => null,
+            },
+          }),
+        ],
+      });
+      const setup = jest.fn(() => () => {});
+      const logic = kea([
+        afterMount(({ cache }) => {
+          cache.disposables.add(setup, "socket", { singleton: "sock" });
+        }),
+      ]);
+
+      logic.mount();
+      expect(setup).toHaveBeenCalledTimes(1);
+      logic.unmount();
+      expect(channels).toEqual([]);
+    } finally {
+      globalThis.BroadcastChannel = OriginalBroadcastChannel;
+    }
+  });
+
+  test("the default channel is closed once no singleton uses it", async () => {
+    const channels = recordChannels();
+    jest.useFakeTimers();
+    try {
+      resetContext({
+        plugins: [
+          createDisposablesPlugin({
+            environment: browserEnvironment,
+            defaultOptions: { pauseOnPageHidden: false },
+          }),
+        ],
+      });
+      const logic = kea([
+        afterMount(({ cache }) => {
+          cache.disposables.add(() => () => {}, "socket", {
+            singleton: "sock",
+          });
+        }),
+      ]);
+
+      logic.mount();
+      await jest.advanceTimersByTimeAsync(200);
+      expect(channels).toHaveLength(1);
+      const close = jest.spyOn(channels[0], "close");
+      logic.unmount();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(close).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+      globalThis.BroadcastChannel = OriginalBroadcastChannel;
+    }
+  });
+});
+
+describe("disposables in a worker", () => {
+  beforeEach(() => {
+    // what a worker's global scope looks like: `self instanceof WorkerGlobalScope`
+    globalThis.WorkerGlobalScope = class {
+      static [Symbol.hasInstance](value) {
+        return value === globalThis;
+      }
+    };
+    resetContext({ plugins: [createDisposablesPlugin()] });
+  });
+
+  afterEach(() => {
+    delete globalThis.WorkerGlobalScope;
+  });
+
+  test("detects the worker environment", () => {
+    expect(detectEnvironment()).toBe(workerEnvironment);
+  });
+
+  test("adding, disposing and unmounting work", () => {
+    const events = [];
+    const logic = kea([
+      actions({ start: true }),
+      listeners(({ cache }) => ({
+        start: () => {
+          cache.disposables.add(() => {
+            events.push("polling setup");
+            return () => events.push("polling cleanup");
+          }, "polling");
+          cache.disposables.add(() => {
+            events.push("socket setup");
+            return () => events.push("socket cleanup");
+          }, "socket");
+        },
+      })),
+    ]);
+
+    logic.mount();
+    logic.actions.start();
+    expect(getDisposablesSnapshot()[logic.pathString]).toMatchObject([
+      { key: "polling", paused: false },
+      { key: "socket", paused: false },
+    ]);
+
+    expect(logic.cache.disposables.dispose("polling")).toBe(true);
+    logic.unmount();
+    expect(events).toEqual([
+      "polling setup",
+      "socket setup",
+      "polling cleanup",
+      "socket cleanup",
+    ]);
+  });
+});
@@ -0,0 +1,194 @@
+import { resetContext, kea, actions, afterMount } from "kea";
+import {
+  createDisposablesPlugin,
+  disposablesPlugin,
+  getDisposablesLeftovers,
+  whenAllDisposed,
+} from "../index";
+import {
+  simulatePageHidden,
+  simulatePageVisible,
+  createFakePauseSource,
+  getDisposableKeys,
+  disposablesMatchers,
+  createInMemoryLeaderNetwork,
+} from "../testing";
+
+expect.extend(disposablesMatchers);
+
+describe("kea-disposables/testing", () => {
+  beforeEach(() => {
+    resetContext({ plugins: [disposablesPlugin] });
+  });
+
+  afterEach(() => {
+    simulatePageVisible();
+    jest.useRealTimers();
+  });
+
+  const makePollingLogic = (options, poll = () => {}) =>
+    kea([
+      actions({}),
+      afterMount(({ cache }) => {
+        cache.disposables.add(
+          () => {
+            const id = setInterval(poll, 1000);
+            return () => clearInterval(id);
+          },
+          "polling",
+          options,
+        );
+      }),
+    ]);
+
+  test("polling pauses while the page is hidden, with fake timers", () => {
+    jest.useFakeTimers();
+    const poll = jest.fn();
+    const logic = makePollingLogic({}, poll);
+    logic.mount();
+
+    jest.advanceTimersByTime(3000);
+    expect(poll).toHaveBeenCalledTimes(3);
+    expect(logic).toHaveActiveDisposable("polling");
+
+    simulatePageHidden();
+    expect(document.hidden).toBe(true);
+    expect(logic).not.toHaveActiveDisposable("polling");
+    jest.advanceTimersByTime(3000);
+    expect(poll).toHaveBeenCalledTimes(3);
+
+    simulatePageVisible();
+    jest.advanceTimersByTime(2000);
+    expect(poll).toHaveBeenCalledTimes(5);
+
+    logic.unmount();
+    expect(logic).toHaveNoLeakedDisposables();
+  });
+
+  test("hide delay runs on fake timers", () => {
+    jest.useFakeTimers();
+    resetContext({
+      plugins: [createDisposablesPlugin({ hideDelayMs: 5000 })],
+    });
+    const logic = makePollingLogic();
+    logic.mount();
+
+    simulatePageHidden();
+    jest.advanceTimersByTime(4999);
+    expect(logic).toHaveActiveDisposable("polling");
+    jest.advanceTimersByTime(1);
+    expect(logic).not.toHaveActiveDisposable("polling");
+
+    logic.unmount();
+  });
+
+  test("fake pause sources pause and resume on demand", () => {
+    const source = createFakePauseSource("network");
+    const logic = makePollingLogic({ pauseWhen: [source] });
+    logic.mount();
+    expect(source.subscriberCount).toBe(1);
+
+    source.pause();
+    expect(logic.cache.disposables.isPaused("polling")).toBe(true);
+    source.resume();
+    expect(logic).toHaveActiveDisposable("polling");
+
+    logic.unmount();
+    expect(source.subscriberCount).toBe(0);
+  });
+
+  test("getDisposableKeys lists live keys, including scoped ones", () => {
+    const logic = makePollingLogic();
+    logic.mount();
+    logic.cache.disposables.scope("session").add(() => () => {}, "autosave");
+
+    expect(getDisposableKeys(logic)).toEqual(["polling", "session/autosave"]);
+    expect(logic).not.toHaveNoLeakedDisposables();
+
+    logic.unmount();
+    expect(getDisposableKeys(logic)).toEqual([]);
+  });
+
+  test("toHaveNoLeakedDisposables catches failed and unfinished cleanups", async () => {
+    resetContext({
+      plugins: [createDisposablesPlugin({ onError: () => {} })],
+    });
+    let finishUpload;
+    const logic = kea([
+      actions({}),
+      afterMount(({ cache }) => {
+        cache.disposables.add(() => () => {
+          throw new Error("already closed");
+        }, "socket");
+        cache.disposables.add(
+          () => () =>
+            new Promise((resolve) => {
+              finishUpload = resolve;
+            }),
+          "upload",
+        );
+      }),
+    ]);
+    logic.mount();
+    const path = logic.pathString;
+    logic.unmount();
+
+    expect(() => expect(logic).toHaveNoLeakedDisposables()).toThrow(
+      'but found failed cleanups of ["socket"], 1 async cleanups still running',
+    );
+    finishUpload();
+    await whenAllDisposed();
+    expect(getDisposablesLeftovers(logic)).toEqual({
+      logicPath: path,
+      failedCleanups: ["socket"],
+      pendingCleanups: 0,
+    });
+
+    // a clean unmount of the same logic passes again
+    resetContext({ plugins: [disposablesPlugin] });
+    const cleanLogic = makePollingLogic();
+    cleanLogic.mount();
+    cleanLogic.unmount();
+    expect(cleanLogic).toHaveNoLeakedDisposables();
+  });
+
+  test("in-memory leader channels reach the other tabs asynchronously", async () => {
+    const network = createInMemoryLeaderNetwork();
+    const tabA = network.connect();
+    const tabB = network.connect();
+    const receivedByA = jest.fn();
+    const receivedByB = jest.fn();
+    tabA.subscribe(receivedByA);
+    const unsubscribeB = tabB.subscribe(receivedByB);
+    const message = { type: "claim", name: "socket", from: "tab-a" };
+
+    tabA.postMessage(message);
+    expect(receivedByB).not.toHaveBeenCalled();
+    await Promise.resolve();
+    expect(receivedByB).toHaveBeenCalledWith(message);
+    expect(receivedByA).not.toHaveBeenCalled();
+
+    tabA.postMessage(message);
+    unsubscribeB();
+    await Promise.resolve();
+    expect(receivedByB).toHaveBeenCalledTimes(1);
+  });
+
+  test("matchers explain what they found", () => {
+    const logic = makePollingLogic();
+    logic.mount();
+    logic.cache.disposables.pause("polling");
+
+    expect(() => expect(logic).toHaveActiveDisposable("polling")).toThrow(
+      "is paused by manual",
+    );
+    expect(() => expect(logic).toHaveActiveDisposable("socket")).toThrow(
+      'but it has ["polling"]',
+    );
+    expect(() => expect(logic).toHaveNoLeakedDisposables()).toThrow(
+      'but found ["polling"]',
+    );
+
+    logic.unmount();
+  });
+});
@@ -0,0 +1,64 @@
+import {
+  createVisibilityPauseSource,
+  visibilityPauseSource,
+} from "./pauseSources";
+import type { PauseSource, VisibilityPauseSourceOptions } from "./pauseSources";
+
+/**
+ * What the plugin needs from the place it runs in. The browser has a page that can be
+ * hidden; a server render or a worker doesn't, so `pauseOnPageHidden` does nothing there.
+ */
+export type DisposablesEnvironment = {
+  /** Shown in logs, e.g. "browser", "server" or "worker" */
+  name: string;
+  /**
+   * Whether it runs in a browser tab that can share `singleton` disposables with other
+   * tabs. Without tabs, singletons just run.
+   */
+  hasTabs: boolean;
+  /** The source `pauseOnPageHidden` stands for, or null to turn visibility pausing off */
+  createVisibilitySource: (
+    options: VisibilityPauseSourceOptions,
+  ) => PauseSource | null;
+};
+
+export const browserEnvironment: DisposablesEnvironment = {
+  name: "browser",
+  hasTabs: true,
+  // Without a delay, share the default instance so it dedupes with `pauseWhen: [visibilityPauseSource]`
+  createVisibilitySource: (options) =>
+    options.hideDelayMs
+      ? createVisibilityPauseSource(options)
+      : visibilityPauseSource,
+};
+
+/** For server rendering. Disposables are set up and cleaned up, but never paused. */
+export const serverEnvironment: DisposablesEnvironment = {
+  name: "server",
+  hasTabs: false,
+  createVisibilitySource: () => null,
+};
+
+/**
+ * For dedicated and shared workers. There is no page to hide, but `offlinePauseSource`
+ * still works, as workers get online/offline events too.
+ */
+export const workerEnvironment: DisposablesEnvironment = {
+  name: "worker",
+  hasTabs: false,
+  createVisibilitySource: () => null,
+};
+
+/** Picks the environment the code is running in */
+export const detectEnvironment = (): DisposablesEnvironment => {
+  if (typeof document !== "undefined") {
+    return browserEnvironment;
+  }
+  if (
+    typeof (globalThis as any).WorkerGlobalScope !== "undefined" &&
+    globalThis instanceof (globalThis as any).WorkerGlobalScope
+  ) {
+    return workerEnvironment;
+  }
+  return serverEnvironment;
+};
@@ -1,194 +1,2194 @@
-import type { BuiltLogic, KeaPlugin } from "kea";
+import {
+  afterMount,
+  getContext,
+  getPluginContext,
+  isBuiltLogic,
+  setPluginContext,
+} from "kea";
+import type {
+  BuiltLogic,
+  KeaPlugin,
+  Logic,
+  LogicBuilder,
+  LogicWrapper,
+} from "kea";
+import { detectEnvironment } from "./environment";
+import type { DisposablesEnvironment } from "./environment";
+import { createLeaderElector } from "./leaderElection";
+import type { LeaderElectionOptions, LeaderElector } from "./leaderElection";
+import { createSideEffectTracker } from "./sideEffects";
+import type { SideEffectLeftovers, SideEffectTracker } from "./sideEffects";
+import type { PauseSource } from "./pauseSources";
 
-export type DisposableFunction = () => void;
-export type SetupFunction = () => DisposableFunction;
+export {
+  browserEnvironment,
+  serverEnvironment,
+  workerEnvironment,
+  detectEnvironment,
+} from "./environment";
+export type { DisposablesEnvironment } from "./environment";
+
+export {
+  visibilityPauseSource,
+  createVisibilityPauseSource,
+  offlinePauseSource,
+  createIdlePauseSource,
+} from "./pauseSources";
+export type {
+  PauseSource,
+  IdlePauseSourceOptions,
+  VisibilityPauseSourceOptions,
+} from "./pauseSources";
+
+export { createBroadcastLeaderChannel } from "./leaderElection";
+export type {
+  LeaderChannel,
+  LeaderMessage,
+  LeaderElectionOptions,
+} from "./leaderElection";
+
+/** A cleanup. If it returns a promise, `flush`, `disposeAsync` and `whenAllDisposed` wait for it. */
+export type DisposableFunction = () => void | PromiseLike<void>;
+
+// The type of Symbol.dispose or Symbol.asyncDispose where TypeScript knows it (lib
+// "esnext.disposable" or @types/node), never where it doesn't
+type WellKnownSymbol<Name extends string> =
+  SymbolConstructor extends Record<Name, infer S extends symbol> ? S : never;
+
+type DisposeMethods = {
+  [K in WellKnownSymbol<"dispose">]: () => void;
+} & {
+  [K in WellKnownSymbol<"asyncDispose">]: () => Promise<void>;
+};
+
+/**
+ * An object following TC39 explicit resource management: it has a `Symbol.dispose`
+ * or `Symbol.asyncDispose` method, like a `DisposableStack` or a library handle.
+ */
+export type DisposableResource = [
+  WellKnownSymbol<"dispose"> | WellKnownSymbol<"asyncDispose">,
+] extends [never]
+  ? object
+  :
+      | { [K in WellKnownSymbol<"dispose">]: () => void }
+      | { [K in WellKnownSymbol<"asyncDispose">]: () => PromiseLike<void> };
+
+// Symbol.dispose or Symbol.asyncDispose at runtime, read when needed so a polyfill
+// loaded after this module counts too. Where there is neither, Symbol.for() stands in.
+const wellKnownSymbol = (name: "dispose" | "asyncDispose"): symbol =>
+  (Symbol as any)[name] ?? Symbol.for(`Symbol.${name}`);
+
+/**
+ * Why setup is running: first add, replacing a key, resuming after a pause, a deps
+ * change, one of the `restartOn` actions, or retrying after a failed setup
+ */
+export type SetupReason =
+  | "add"
+  | "replace"
+  | "resume"
+  | "deps"
+  | "restart"
+  | "retry";
+
+export type DisposableRetryOptions = {
+  /** How many times setup is tried in total, the first try included. Defaults to 3. */
+  maxAttempts?: number;
+  /** Delay before the first retry, doubled for every retry after it. Defaults to 1000. */
+  delayMs?: number;
+  /** Upper bound for the delay, jitter included. Defaults to 30 seconds. */
+  maxDelayMs?: number;
+  /** Random extra delay of up to this many ms added to each retry */
+  jitterMs?: number;
+};
+
+/** An action type, or a kea action creator such as `logic.actions.stopPolling` */
+export type DisposableActionTrigger = string | { toString: () => string };
+
+export type SetupContext = {
+  reason: SetupReason;
+  /** The same signal that is passed as the first argument */
+  signal: AbortSignal;
+  /** How long the disposable was paused before this run, 0 unless it was paused */
+  pausedForMs: number;
+  /** Total time the disposable has been set up (and not paused) since it was added */
+  activeMs: number;
+  /** `durationMs - activeMs`, never below 0. Lets a resumed timeout continue where it left off. */
+  remaining: (durationMs: number) => number;
+};
+
+export type SetupFunction = (
+  signal: AbortSignal,
+  context: SetupContext,
+) =>
+  | DisposableFunction
+  | DisposableResource
+  | Promise<DisposableFunction | DisposableResource>;
 
 export type DisposableOptions = {
+  /** Shorthand for including `visibilityPauseSource` in `pauseWhen` */
   pauseOnPageHidden?: boolean;
+  /** Pause while any of these sources says so */
+  pauseWhen?: PauseSource[];
+  /** Entries with a higher priority are resumed first when resumes are staggered */
+  priority?: number;
+  /**
+   * Run the setup in only one browser tab at a time. Tabs using the same name elect a
+   * leader, the others stay paused until the leader's tab closes, stops using it or
+   * pauses it.
+   */
+  singleton?: string;
+  /** Labels for disposing a group of disposables at once with `disposeByTag` */
+  tags?: string[];
+  /** Dispose the disposable when any of these actions is dispatched */
+  disposeOn?: DisposableActionTrigger[];
+  /** Clean up and set up the disposable again when any of these actions is dispatched */
+  restartOn?: DisposableActionTrigger[];
+  /** Dispose the disposable by itself this many ms after it was added */
+  ttlMs?: number;
+  /** Dispose the disposable by itself at this time (a `Date` or a timestamp in ms) */
+  expiresAt?: Date | number;
+  /**
+   * Whether time spent paused counts toward `ttlMs`/`expiresAt`. Defaults to `true`;
+   * with `false` the expiry is pushed back by however long the disposable was paused.
+   */
+  ttlCountsPausedTime?: boolean;
+  /**
+   * Like React's useEffect deps. Read from the logic's values after every store
+   * update; when they change (shallowly) the disposable is cleaned up and set up again.
+   */
+  deps?: (values: Record<string, any>) => unknown[];
+  /**
+   * Keys of disposables (in the same scope) this one is built on. It is set up only
+   * while all of them are, cleaned up before any of them is, and set up again after.
+   */
+  dependsOn?: string[];
+  /**
+   * Try setup again, with exponential backoff, when it throws, rejects or returns no
+   * cleanup. Retrying stops on pause, dispose and unmount.
+   */
+  retry?: DisposableRetryOptions;
+};
+
+export type DisposablesErrorPhase = "setup" | "cleanup" | "pause" | "resume";
+
+export type DisposablesErrorContext = {
+  logicPath: string;
+  key: string;
+  phase: DisposablesErrorPhase;
+};
+
+export type DisposablesLogger = Pick<Console, "error" | "warn">;
+
+export type DisposableEventType =
+  | "setup"
+  | "cleanup"
+  | "pause"
+  | "resume"
+  | "replace"
+  | "dispose"
+  | "error";
+
+/**
+ * Something that happened to a disposable, with how long it took. Async setups and
+ * cleanups are reported once they settle.
+ */
+export type DisposableEvent = {
+  type: DisposableEventType;
+  logicPath: string;
+  key: string;
+  /**
+   * Why it happened: the setup reason ("add", "deps", "retry", ...), the pause source
+   * ("visibility", "manual", ...), "dispose", "expired", "unmount", or the error phase
+   */
+  reason: string;
+  /** When it started, in `performance.now()` time */
+  startTime: number;
+  /** 0 for errors */
+  durationMs: number;
+  /** Only on "error" events */
+  error?: unknown;
+};
+
+export type DisposablesPluginOptions = {
+  /** Receives every setup and cleanup failure. Replaces the default logging when given. */
+  onError?: (error: unknown, context: DisposablesErrorContext) => void;
+  /** App-wide defaults, merged under the options passed to each `add` call */
+  defaultOptions?: DisposableOptions;
+  /** Where the plugin logs to. Defaults to `console`. */
+  logger?: DisposablesLogger;
+  /** How long the page must stay hidden before disposables pause */
+  hideDelayMs?: number;
+  /**
+   * Where the plugin runs: `browserEnvironment`, `serverEnvironment`, `workerEnvironment`
+   * or your own. Detected automatically by default.
+   */
+  environment?: DisposablesEnvironment;
+  /** Delay between each disposable resuming after a pause source clears, by priority */
+  resumeStaggerMs?: number;
+  /** Random extra delay of up to this many ms added to each resume */
+  resumeJitterMs?: number;
+  /** How the tabs elect the one that runs a `singleton` disposable */
+  leaderElection?: LeaderElectionOptions;
+  /**
+   * The order disposables are cleaned up in on unmount, pause and `disposeAll`.
+   * Defaults to "lifo": the last added is cleaned up first, like unwinding a stack.
+   * They are always set up again in the order they were added.
+   */
+  teardownOrder?: "lifo" | "fifo";
+  /** Receives every lifecycle event, e.g. to find out which resume is the slow one */
+  onEvent?: (event: DisposableEvent) => void;
+  /**
+   * Record events with `performance.measure` (and errors with `performance.mark`),
+   * so they show up in the browser's performance panel
+   */
+  performanceMarks?: boolean;
+  /** Expose the introspection API on `window.__KEA_DISPOSABLES__` for the browser console */
+  devtools?: boolean;
+  /** Warn about likely leaks and misuse. Meant for development, it captures a stack on every `add`. */
+  devMode?: boolean | DisposablesDevModeOptions;
+};
+
+export type DisposablesDevModeOptions = {
+  /** Warn when a logic holds this many auto-keyed disposables, and again each time the count doubles */
+  autoKeyedThreshold?: number;
+  /**
+   * Like React's StrictMode: every `add` runs setup, cleanup and setup again, and warns
+   * when the cleanup leaves `window`/`document` listeners or timers behind. With
+   * `pauseResume`, the new disposable is also paused and resumed once right away.
+   */
+  strictMode?: boolean | { pauseResume?: boolean };
+};
+
+export type DisposableSnapshot = {
+  key: string;
+  /** true when added without a key, these are the usual suspects for leaks */
+  autoKeyed: boolean;
+  options: DisposableOptions;
+  paused: boolean;
+  /** Names of the pause sources currently pausing the disposable, or "manual" */
+  pausedBy: string[];
+  createdAt: number;
+  setupCount: number;
+  /** When the disposable will expire, null without a TTL or while a paused TTL is on hold */
+  expiresAt: number | null;
+  /** true once setup failed and there are no retries left. Resuming tries again. */
+  failed: boolean;
+  /** Setup failures in a row, reset when setup succeeds */
+  failedAttempts: number;
+  /** When the next retry runs, null unless one is scheduled */
+  retryAt: number | null;
+};
+
+/** Every live disposable, grouped by logic path */
+export type DisposablesSnapshot = Record<string, DisposableSnapshot[]>;
+
+/** What a logic's cleanups left behind, both empty when every cleanup went fine */
+export type DisposablesLeftovers = {
+  /** The path of the logic, also for a logic wrapper that has unmounted */
+  logicPath: string;
+  /** Keys of disposables whose cleanup threw or rejected */
+  failedCleanups: string[];
+  /** How many async cleanups are still running */
+  pendingCleanups: number;
+};
+
+export type DisposablesDevtools = {
+  getSnapshot: () => DisposablesSnapshot;
+  subscribe: (listener: (snapshot: DisposablesSnapshot) => void) => () => void;
+  /** Prints every live disposable as a table */
+  print: () => void;
+};
+
+/** Creates a resource shared between logics, see `share` */
+export type SharedSetupFunction<T> = (signal: AbortSignal) => {
+  resource: T;
+  cleanup: DisposableFunction;
+};
+
+/** A setup function, or a setup function together with its options */
+export type DisposableDefinition =
+  | SetupFunction
+  | (DisposableOptions & { setup: SetupFunction });
+
+export type DisposableDefinitions<Key extends string = string> = Record<
+  Key,
+  DisposableDefinition
+>;
+
+type DisposablesConfig = {
+  onError: DisposablesPluginOptions["onError"] | null;
+  defaultOptions: DisposableOptions;
+  logger: DisposablesLogger;
+  // the source `pauseOnPageHidden` stands for, delayed when hideDelayMs is set.
+  // null where the environment has no page that can be hidden.
+  visibilitySource: PauseSource | null;
+  resumeStaggerMs: number;
+  resumeJitterMs: number;
+  devMode: Required<DisposablesDevModeOptions> | null;
+  teardownOrder: "lifo" | "fifo";
+  onEvent: DisposablesPluginOptions["onEvent"] | null;
+  performanceMarks: boolean;
+  leaderElector: LeaderElector;
 };
 
+// Why an entry is paused. An entry stays paused until every reason is gone.
+// "staggered-resume" holds an entry back until its turn to resume comes, and
+// "dependsOn:<key>" until the entry it depends on is set up. "strict-mode" is the
+// pause and resume dev mode's strict mode runs right after an entry is added.
+type PauseReason =
+  | PauseSource
+  | "manual"
+  | "staggered-resume"
+  | "strict-mode"
+  | `dependsOn:${string}`;
+
 type DisposableEntry = {
+  // full key, prefixed with the scope path for entries added to a scope
+  key: string;
+  // "" for entries added directly to cache.disposables, otherwise e.g. "session/editor"
+  scope: string;
+  autoKeyed: boolean;
+  createdAt: number;
+  // where add() was called from, only captured in dev mode
+  addStack: string | null;
   setup: SetupFunction;
-  cleanup: DisposableFunction;
+  // null while an async setup is still pending, or while the entry is paused
+  cleanup: DisposableFunction | null;
   options: DisposableOptions;
+  pauseSources: PauseSource[];
+  // aborted whenever this run of setup is torn down (dispose, replace, pause, unmount)
+  controller: AbortController | null;
+  // the handling of the current async setup, which includes running a late cleanup
+  pendingSetup: Promise<void> | null;
+  pausedBy: Set<PauseReason>;
+  resumeTimer: ReturnType<typeof setTimeout> | null;
+  // retrying after failed setups, see options.retry
+  failed: boolean;
+  failedAttempts: number;
+  retryAt: number | null;
+  retryTimer: ReturnType<typeof setTimeout> | null;
+  // how the entry was registered, used as the reason of its first setup
+  addReason: "add" | "replace";
+  // false for resources passed to use(): they can't be set up again, so they never pause
+  repeatable: boolean;
+  setupCount: number;
+  // timing for SetupContext: when the current run started, when the current pause
+  // started, and how long previous runs were active in total
+  startedAt: number | null;
+  pausedAt: number | null;
+  activeMs: number;
+  // last result of options.deps, null when the entry has no deps
+  depsValues: unknown[] | null;
+  // full keys of options.dependsOn
+  dependsOn: string[];
+  // TTL bookkeeping. While a TTL that doesn't count paused time is on hold, expiresAt
+  // is null and ttlRemainingMs holds what was left of it.
+  expiresAt: number | null;
+  ttlRemainingMs: number | null;
+  expiryTimer: ReturnType<typeof setTimeout> | null;
+};
+
+/**
+ * The API of `cache.disposables`, and of the child scopes created with `scope(name)`.
+ * A scope works on its own disposables (and those of nested scopes) only.
+ * `Symbol.dispose` and `Symbol.asyncDispose` dispose all of them, so a scope works
+ * with `using` declarations.
+ */
+export type DisposablesScope<Key extends string = string> = DisposeMethods & {
+  /**
+   * false once the logic has fully unmounted. A closed manager stays on `cache` so late
+   * calls (e.g. from a listener that awaited a request) don't crash: `add` skips setup
+   * and the other methods do nothing.
+   */
+  readonly isActive: boolean;
+  add: (setup: SetupFunction, key?: Key, options?: DisposableOptions) => void;
+  dispose: (key: Key) => boolean;
+  /** Like `dispose`, but resolves once the cleanup has finished, async cleanups included */
+  disposeAsync: (key: Key) => Promise<boolean>;
+  /** Resolves once every cleanup of the logic that is still running has finished */
+  flush: () => Promise<void>;
+  /** Pause one disposable, or every disposable in this scope when no key is given */
+  pause: (key?: Key) => boolean;
+  /**
+   * Undo a manual pause of one disposable, or of the whole scope when no key is given.
+   * A disposable inside a scope that is still paused stays paused, and this returns `false`.
+   */
+  resume: (key?: Key) => boolean;
+  isPaused: (key: Key) => boolean;
+  /** A child scope. Its keys are namespaced, so they never clash with the parent's. */
+  scope: (name: string) => DisposablesScope;
+  /** Disposes every disposable in this scope with the tag, returns how many there were */
+  disposeByTag: (tag: string) => number;
+  /** Disposes every disposable in this scope, including nested scopes */
+  disposeAll: () => number;
+  /**
+   * Holds the resource with this id, which is shared by every logic in the kea context.
+   * The first holder's setup creates it, and its cleanup runs once no logic holds it
+   * anymore: every holder disposed it, unmounted or is paused. Registered under the key
+   * `id`, calling it again with the same id just returns the resource.
+   * Returns the resource, or null while no logic holds it, e.g. when this logic's hold
+   * starts out paused, and after this logic unmounted.
+   */
+  share: <T>(
+    id: string,
+    setup: SharedSetupFunction<T>,
+    options?: DisposableOptions,
+  ) => T | null;
+  /** The resource shared under this id, null while no logic holds it */
+  getShared: <T>(id: string) => T | null;
+  /**
+   * Takes care of a resource that already exists, an object with `Symbol.dispose` or
+   * `Symbol.asyncDispose`: it is disposed on `dispose(key)`, when replaced and on unmount.
+   * It can't be created again, so it never pauses. Returns the resource, like `using`.
+   */
+  use: <T extends DisposableResource | null | undefined>(
+    resource: T,
+    key?: Key,
+  ) => T;
+};
+
+export type DisposablesManager<Key extends string = string> =
+  DisposablesScope<Key> & {
+    isActive: boolean;
+    registry: Map<string, DisposableEntry>;
+    keyCounter: number;
+    logicPath: string;
+    config: DisposablesConfig;
+    // scopes paused by pause() without a key ("" is the whole logic),
+    // so disposables added to them afterwards start paused too
+    pausedScopes: Set<string>;
+    getValues: () => Record<string, any>;
+    // store subscription used to watch deps, only present while an entry has deps
+    unsubscribeFromStore: (() => void) | null;
+    // dev mode bookkeeping, so each problem is only warned about once
+    nextAutoKeyedWarningAt: number;
+    warnedDuplicateSetups: Set<string>;
+    // async cleanups (and aborted async setups) that haven't finished yet
+    pendingCleanups: Set<Promise<void>>;
+    // keys of disposables whose cleanup failed, see getDisposablesLeftovers
+    failedCleanups: Set<string>;
+    // the state of the kea context the logic was mounted in
+    state: DisposablesState;
+  };
+
+// Type for logic with disposables added
+type LogicWithCache = BuiltLogic & {
+  cache: { disposables?: DisposablesManager; [key: string]: any };
+};
+
+type AttachedPauseSource = {
+  // number of managers and entries using the source
+  count: number;
+  unsubscribe: () => void;
+};
+
+// Pause tracking and introspection state. Each kea context gets its own, stored as the
+// plugin's context, so contexts running side by side never see each other's disposables.
+type DisposablesState = {
+  allManagers: Set<DisposablesManager>;
+  sources: Map<PauseSource, AttachedPauseSource>;
+  // entries with disposeOn/restartOn, by action type
+  actionTriggers: Map<string, Map<DisposableEntry, DisposablesManager>>;
+  snapshotListeners: Set<(snapshot: DisposablesSnapshot) => void>;
+  snapshotNotificationScheduled: boolean;
+  eventListeners: Set<(event: DisposableEvent) => void>;
+  // resources created with share(), by id
+  shared: Map<string, SharedResource>;
+  // the plugin's logger, for failures that don't belong to a single logic
+  logger: DisposablesLogger;
+  // closed managers whose cleanups failed or are still running, by logic path
+  leftovers: Map<string, DisposablesManager>;
+};
+
+type SharedResource = {
+  resource: unknown;
+  cleanup: DisposableFunction;
+  controller: AbortController;
+  // number of holder entries that are set up, i.e. not paused
+  holders: number;
+};
+
+const PLUGIN_NAME = "disposables";
+
+// Every unfinished cleanup, across kea contexts. Kept outside the context state so
+// whenAllDisposed() still waits for the cleanups of a context that was just closed.
+const pendingCleanups = new Set<Promise<void>>();
+
+// A closed manager is only remembered while it has something to show
+const forgetLeftovers = (manager: DisposablesManager): void => {
+  const { leftovers } = manager.state;
+  if (
+    leftovers.get(manager.logicPath) === manager &&
+    manager.pendingCleanups.size === 0 &&
+    manager.failedCleanups.size === 0
+  ) {
+    leftovers.delete(manager.logicPath);
+  }
+};
+
+const trackPendingCleanup = (
+  manager: DisposablesManager,
+  promise: Promise<void>,
+): void => {
+  manager.pendingCleanups.add(promise);
+  pendingCleanups.add(promise);
+  promise.then(() => {
+    manager.pendingCleanups.delete(promise);
+    pendingCleanups.delete(promise);
+    forgetLeftovers(manager);
+  });
+};
+
+// Cleanups can start more cleanups (e.g. a dependent being torn down), so keep
+// waiting until nothing is left
+const waitForCleanups = async (
+  cleanups: Set<Promise<void>>,
+): Promise<void> => {
+  while (cleanups.size > 0) {
+    await Promise.all(cleanups);
+  }
+};
+
+/**
+ * Resolves once every cleanup that is still running has finished, async cleanups
+ * included. Handy after unmounting or `resetContext()` in tests and route transitions.
+ */
+export const whenAllDisposed = (): Promise<void> =>
+  waitForCleanups(pendingCleanups);
+
+const createDisposablesState = (
+  logger: DisposablesLogger,
+): DisposablesState => ({
+  allManagers: new Set(),
+  sources: new Map(),
+  actionTriggers: new Map(),
+  snapshotListeners: new Set(),
+  snapshotNotificationScheduled: false,
+  eventListeners: new Set(),
+  shared: new Map(),
+  leftovers: new Map(),
+  logger,
+});
+
+// The state of the current kea context, null if the plugin isn't installed in it
+const getDisposablesState = (): DisposablesState | null => {
+  if (!getContext()) {
+    return null;
+  }
+  const state = getPluginContext<Partial<DisposablesState>>(PLUGIN_NAME);
+  return state.allManagers ? (state as DisposablesState) : null;
+};
+
+const describePauseReason = (reason: PauseReason): string =>
+  typeof reason === "string" ? reason : reason.name;
+
+const createSnapshot = (state: DisposablesState): DisposablesSnapshot => {
+  const snapshot: DisposablesSnapshot = {};
+  state.allManagers.forEach((manager) => {
+    snapshot[manager.logicPath] = [...manager.registry.values()].map(
+      (entry) => ({
+        key: entry.key,
+        autoKeyed: entry.autoKeyed,
+        options: { ...entry.options },
+        paused: entry.pausedBy.size > 0,
+        pausedBy: [...entry.pausedBy].map(describePauseReason),
+        createdAt: entry.createdAt,
+        setupCount: entry.setupCount,
+        expiresAt: entry.expiresAt,
+        failed: entry.failed,
+        failedAttempts: entry.failedAttempts,
+        retryAt: entry.retryAt,
+      }),
+    );
+  });
+  return snapshot;
+};
+
+/**
+ * Lists every live disposable in the current kea context, grouped by logic path.
+ * Handy for finding auto-keyed entries that keep piling up.
+ */
+export const getDisposablesSnapshot = (): DisposablesSnapshot => {
+  const state = getDisposablesState();
+  return state ? createSnapshot(state) : {};
+};
+
+// The path each logic wrapper was last mounted at. Building an unmounted wrapper
+// without a path gives it a new one, which would never lead back to its disposables.
+const mountedPaths = new WeakMap<LogicWrapper, string>();
+
+/**
+ * What the logic left behind in the current kea context: cleanups that failed, and
+ * async cleanups that are still running. Works for mounted logics, and for unmounted
+ * ones until their last cleanup has finished without failing.
+ */
+export const getDisposablesLeftovers = (
+  logic: BuiltLogic | LogicWrapper,
+): DisposablesLeftovers => {
+  const logicPath = isBuiltLogic(logic)
+    ? logic.pathString
+    : (mountedPaths.get(logic) ?? logic.build().pathString);
+  const state = getDisposablesState();
+  const manager =
+    state &&
+    ([...state.allManagers].find(
+      (manager) => manager.logicPath === logicPath,
+    ) ??
+      state.leftovers.get(logicPath));
+  return {
+    logicPath,
+    failedCleanups: manager ? [...manager.failedCleanups] : [],
+    pendingCleanups: manager ? manager.pendingCleanups.size : 0,
+  };
+};
+
+/**
+ * Calls `listener` with a fresh snapshot whenever disposables of the current kea context
+ * are added, set up, cleaned up, paused or removed. Changes are batched per microtask,
+ * so a resume of many disposables results in a single call.
+ */
+export const subscribeToDisposables = (
+  listener: (snapshot: DisposablesSnapshot) => void,
+): (() => void) => {
+  const state = getDisposablesState();
+  if (!state) {
+    throw new Error(
+      "[KEA] subscribeToDisposables() was called, but the disposables plugin is not installed in the current kea context.",
+    );
+  }
+  state.snapshotListeners.add(listener);
+  return () => {
+    state.snapshotListeners.delete(listener);
+  };
+};
+
+const notifyDisposablesChanged = (state: DisposablesState): void => {
+  if (
+    state.snapshotListeners.size === 0 ||
+    state.snapshotNotificationScheduled
+  ) {
+    return;
+  }
+  state.snapshotNotificationScheduled = true;
+  queueMicrotask(() => {
+    state.snapshotNotificationScheduled = false;
+    const snapshot = createSnapshot(state);
+    state.snapshotListeners.forEach((listener) => {
+      try {
+        listener(snapshot);
+      } catch (listenerError) {
+        state.logger.error(
+          "[KEA] Disposables snapshot listener failed:",
+          listenerError,
+        );
+      }
+    });
+  });
+};
+
+/**
+ * Calls `listener` with every lifecycle event of the disposables in the current kea
+ * context: setup, cleanup, pause, resume, replace, dispose and error.
+ */
+export const subscribeToDisposableEvents = (
+  listener: (event: DisposableEvent) => void,
+): (() => void) => {
+  const state = getDisposablesState();
+  if (!state) {
+    throw new Error(
+      "[KEA] subscribeToDisposableEvents() was called, but the disposables plugin is not installed in the current kea context.",
+    );
+  }
+  state.eventListeners.add(listener);
+  return () => {
+    state.eventListeners.delete(listener);
+  };
+};
+
+const now = (): number =>
+  typeof performance !== "undefined" ? performance.now() : Date.now();
+
+const recordPerformanceEntry = (event: DisposableEvent): void => {
+  if (typeof performance === "undefined") {
+    return;
+  }
+  const name = `kea-disposables ${event.type} ${event.logicPath} ${event.key}`;
+  try {
+    if (event.type === "error") {
+      performance.mark?.(name, { startTime: event.startTime, detail: event });
+    } else {
+      performance.measure?.(name, {
+        start: event.startTime,
+        duration: event.durationMs,
+        detail: event,
+      });
+    }
+  } catch {
+    // older browsers don't take options, the timings aren't worth failing over
+  }
+};
+
+// Builds and delivers an event that started at `startTime` and ends now.
+// Does nothing when no one is listening.
+const emitDisposableEvent = (
+  manager: DisposablesManager,
+  type: DisposableEventType,
+  key: string,
+  reason: string,
+  startTime: number,
+  error?: unknown,
+): void => {
+  const { onEvent, performanceMarks, logger } = manager.config;
+  const { eventListeners } = manager.state;
+  if (!onEvent && !performanceMarks && eventListeners.size === 0) {
+    return;
+  }
+
+  const event: DisposableEvent = {
+    type,
+    logicPath: manager.logicPath,
+    key,
+    reason,
+    startTime,
+    durationMs: type === "error" ? 0 : now() - startTime,
+  };
+  if (type === "error") {
+    event.error = error;
+  }
+  if (performanceMarks) {
+    recordPerformanceEntry(event);
+  }
+  [onEvent, ...eventListeners].forEach((listener) => {
+    try {
+      listener?.(event);
+    } catch (listenerError) {
+      logger.error(
+        `[KEA] Disposable event listener failed in logic ${manager.logicPath}:`,
+        listenerError,
+      );
+    }
+  });
+};
+
+const disposablesDevtools: DisposablesDevtools = {
+  getSnapshot: getDisposablesSnapshot,
+  subscribe: subscribeToDisposables,
+  print: () => {
+    const rows = Object.entries(getDisposablesSnapshot()).flatMap(
+      ([logicPath, entries]) =>
+        entries.map(
+          ({ key, autoKeyed, paused, pausedBy, setupCount, failed }) => ({
+            logicPath,
+            key,
+            autoKeyed,
+            paused,
+            pausedBy: pausedBy.join(", "),
+            setupCount,
+            failed,
+          }),
+        ),
+    );
+    console.table(rows);
+  },
+};
+
+const reportError = (
+  error: unknown,
+  manager: DisposablesManager,
+  key: string,
+  phase: DisposablesErrorPhase,
+): void => {
+  const { onError, logger } = manager.config;
+  const context: DisposablesErrorContext = {
+    logicPath: manager.logicPath,
+    key,
+    phase,
+  };
+  if (phase === "cleanup" || phase === "pause") {
+    manager.failedCleanups.add(key);
+  }
+  emitDisposableEvent(manager, "error", key, phase, now(), error);
+  if (onError) {
+    try {
+      onError(error, context);
+      return;
+    } catch (handlerError) {
+      logger.error(
+        `[KEA] Disposable onError handler failed in logic ${manager.logicPath}:`,
+        handlerError,
+      );
+    }
+  }
+  const kind = phase === "setup" || phase === "resume" ? "setup" : "cleanup";
+  logger.error(
+    `[KEA] Disposable ${kind} failed in logic ${manager.logicPath}:`,
+    error,
+  );
+};
+
+const warn = (
+  manager: DisposablesManager,
+  message: string,
+  stack: string | null = null,
+): void => {
+  manager.config.logger.warn(
+    `[KEA] ${message} in logic ${manager.logicPath}.${stack ? `\n${stack}` : ""}`,
+  );
+};
+
+// The file of a stack frame, e.g. "src/index.ts" of "at add (src/index.ts:12:5)"
+const getFrameFile = (frame: string): string | null =>
+  frame.match(/[\s(@]([^\s()@]*?):\d+:\d+\)?$/)?.[1] ?? null;
+
+// The file this module runs from, so call sites can leave out its own frames
+const ownFile = getFrameFile((new Error().stack ?? "").split("\n")[1] ?? "");
+
+// Stack of whoever called add(), without the "Error" line and the frames of this
+// module. use() and share() reach add() through more frames than add() itself.
+const captureCallSite = (): string => {
+  const frames = (new Error().stack ?? "").split("\n").slice(1);
+  const firstOutside = frames.findIndex(
+    (frame) => getFrameFile(frame) !== ownFile,
+  );
+  return frames.slice(ownFile ? Math.max(firstOutside, 0) : 0).join("\n");
+};
+
+const warnAboutInvalidCleanup = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+  cleanup: unknown,
+): void => {
+  if (manager.config.devMode) {
+    warn(
+      manager,
+      `Disposable "${entry.key}" setup returned ${cleanup === null ? "null" : typeof cleanup} instead of a cleanup function, so it was dropped`,
+      entry.addStack,
+    );
+  }
+};
+
+// Auto-keyed entries are never replaced, so an add() without a key in a listener that
+// runs on every action keeps stacking up copies of the same resource
+const checkForAutoKeyedLeaks = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  if (!manager.config.devMode || !entry.autoKeyed) {
+    return;
+  }
+
+  const autoKeyed = [...manager.registry.values()].filter(
+    ({ autoKeyed }) => autoKeyed,
+  );
+  if (autoKeyed.length >= manager.nextAutoKeyedWarningAt) {
+    manager.nextAutoKeyedWarningAt = autoKeyed.length * 2;
+    warn(
+      manager,
+      `${autoKeyed.length} disposables without a key are alive. Pass a key to add() if they should replace each other`,
+      entry.addStack,
+    );
+  }
+
+  // Every use() registers the same wrapper, but each one holds a different resource
+  if (!entry.repeatable) {
+    return;
+  }
+  const source = entry.setup.toString();
+  const duplicates = autoKeyed.filter(
+    ({ setup, repeatable }) =>
+      repeatable && (setup === entry.setup || setup.toString() === source),
+  );
+  if (duplicates.length > 1 && !manager.warnedDuplicateSetups.has(source)) {
+    manager.warnedDuplicateSetups.add(source);
+    warn(
+      manager,
+      `The same setup function was added ${duplicates.length} times without a key. Pass a key to add() so it replaces the previous one`,
+      entry.addStack,
+    );
+  }
+};
+
+const isPromiseLike = <T>(value: unknown): value is PromiseLike<T> =>
+  !!value && typeof (value as PromiseLike<T>).then === "function";
+
+const noop = (): void => {};
+
+// What setup returned, as a cleanup function: the function itself, or the dispose
+// method of a disposable object. Like `await using`, Symbol.asyncDispose goes first.
+// null for anything else.
+const toCleanup = (value: unknown): DisposableFunction | null => {
+  if (typeof value === "function") {
+    return value as DisposableFunction;
+  }
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  const asyncDispose = (value as any)[wellKnownSymbol("asyncDispose")];
+  if (typeof asyncDispose === "function") {
+    return () => asyncDispose.call(value);
+  }
+  const dispose = (value as any)[wellKnownSymbol("dispose")];
+  if (typeof dispose === "function") {
+    return () => {
+      dispose.call(value);
+    };
+  }
+  return null;
+};
+
+// Returns a promise for async cleanups, which never rejects: failures go to reportError
+const safeCleanup = (
+  cleanup: DisposableFunction,
+  manager: DisposablesManager,
+  key: string,
+  phase: DisposablesErrorPhase,
+): Promise<void> | null => {
+  try {
+    const result = cleanup();
+    if (isPromiseLike<void>(result)) {
+      return Promise.resolve(result).then(
+        () => undefined,
+        (error) => reportError(error, manager, key, phase),
+      );
+    }
+  } catch (error) {
+    reportError(error, manager, key, phase);
+  }
+  return null;
+};
+
+// What safeSetup returns when setup threw. Not null, as setup may return null itself.
+const SETUP_FAILED = Symbol("setup failed");
+
+const safeSetup = (
+  setup: SetupFunction,
+  context: SetupContext,
+  manager: DisposablesManager,
+  key: string,
+  phase: DisposablesErrorPhase,
+): ReturnType<SetupFunction> | typeof SETUP_FAILED => {
+  try {
+    return setup(context.signal, context);
+  } catch (error) {
+    reportError(error, manager, key, phase);
+    return SETUP_FAILED;
+  }
+};
+
+const clearRetry = (entry: DisposableEntry): void => {
+  if (entry.retryTimer) {
+    clearTimeout(entry.retryTimer);
+    entry.retryTimer = null;
+  }
+  entry.retryAt = null;
+};
+
+const handleSetupSuccess = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  if (entry.failed || entry.failedAttempts > 0) {
+    entry.failed = false;
+    entry.failedAttempts = 0;
+    notifyDisposablesChanged(manager.state);
+  }
+};
+
+// Schedules the next retry with exponential backoff, or marks the entry as failed
+// once it is out of attempts. A failed entry stays registered so introspection shows it.
+const handleSetupFailure = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  entry.failedAttempts++;
+  notifyDisposablesChanged(manager.state);
+  const { retry } = entry.options;
+  if (!retry || entry.failedAttempts >= (retry.maxAttempts ?? 3)) {
+    entry.failed = true;
+    return;
+  }
+
+  const { delayMs = 1000, maxDelayMs = 30_000, jitterMs = 0 } = retry;
+  // jitter goes in before the cap, so maxDelayMs really is the upper bound
+  const delay = Math.min(
+    maxDelayMs,
+    delayMs * 2 ** (entry.failedAttempts - 1) + Math.random() * jitterMs,
+  );
+  clearRetry(entry);
+  entry.retryAt = Date.now() + delay;
+  entry.retryTimer = setTimeout(() => {
+    entry.retryTimer = null;
+    entry.retryAt = null;
+    if (manager.registry.get(entry.key) === entry && !isEntryPaused(entry)) {
+      if (startEntry(entry, manager, "retry") === "done") {
+        restoreDependents(manager, entry.key);
+      }
+    }
+  }, delay);
+};
+
+// Runs the entry's setup with a fresh AbortSignal. Sync setups store their cleanup
+// right away; async setups store it once they settle, unless the entry was torn down
+// in the meantime, in which case the late cleanup runs immediately.
+// Returns "failed" if setup failed synchronously, a retry may be scheduled by then.
+// Returns "pending" while an async setup runs: it sets the dependents up itself once
+// it resolves. "done" means the caller can set them up right away.
+// `cause` is the reason reported in the event, e.g. the pause source that was lifted.
+const startEntry = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+  reason: SetupReason,
+  pausedForMs = 0,
+  cause: string = reason,
+): "done" | "pending" | "failed" => {
+  const phase = reason === "resume" ? "resume" : "setup";
+  const startTime = now();
+  if (reason !== "retry") {
+    // a new run gets a fresh set of attempts
+    entry.failedAttempts = 0;
+  }
+  clearRetry(entry);
+  const controller = new AbortController();
+  entry.controller = controller;
+  entry.cleanup = null;
+  entry.setupCount++;
+  entry.startedAt = Date.now();
+  notifyDisposablesChanged(manager.state);
+
+  const { activeMs } = entry;
+  const context: SetupContext = {
+    reason,
+    signal: controller.signal,
+    pausedForMs,
+    activeMs,
+    remaining: (durationMs) => Math.max(0, durationMs - activeMs),
+  };
+  const result = safeSetup(entry.setup, context, manager, entry.key, phase);
+  if (result === SETUP_FAILED) {
+    handleSetupFailure(entry, manager);
+    return "failed";
+  }
+
+  if (!isPromiseLike<unknown>(result)) {
+    const cleanup = toCleanup(result);
+    if (!cleanup) {
+      warnAboutInvalidCleanup(entry, manager, result);
+      handleSetupFailure(entry, manager);
+      return "failed";
+    }
+    entry.cleanup = cleanup;
+    handleSetupSuccess(entry, manager);
+    emitDisposableEvent(manager, phase, entry.key, cause, startTime);
+    return "done";
+  }
+
+  entry.pendingSetup = Promise.resolve(result).then(
+    (value) => {
+      const cleanup = toCleanup(value);
+      if (!cleanup) {
+        warnAboutInvalidCleanup(entry, manager, value);
+        if (!controller.signal.aborted) {
+          handleSetupFailure(entry, manager);
+        }
+        return;
+      }
+      if (controller.signal.aborted) {
+        return safeCleanup(cleanup, manager, entry.key, "cleanup") ?? undefined;
+      }
+      entry.cleanup = cleanup;
+      handleSetupSuccess(entry, manager);
+      emitDisposableEvent(manager, phase, entry.key, cause, startTime);
+      restoreDependents(manager, entry.key);
+    },
+    (error) => {
+      // Rejections caused by our own abort are expected and not worth reporting
+      if (!controller.signal.aborted) {
+        reportError(error, manager, entry.key, phase);
+        handleSetupFailure(entry, manager);
+      }
+    },
+  );
+  return "pending";
+};
+
+// Aborts any pending async setup and runs the current cleanup, if there is one.
+// Returns a promise when the cleanup (or the late cleanup of an aborted async setup)
+// is still running. `reason` is reported in the event, e.g. the pause source.
+const stopEntry = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+  phase: "cleanup" | "pause",
+  reason: string = phase,
+): Promise<void> | null => {
+  const startTime = now();
+  clearRetry(entry);
+  entry.controller?.abort();
+  entry.controller = null;
+  if (entry.startedAt !== null) {
+    entry.activeMs += Date.now() - entry.startedAt;
+    entry.startedAt = null;
+  }
+  notifyDisposablesChanged(manager.state);
+
+  const pending: Promise<void>[] = [];
+  if (entry.pendingSetup) {
+    pending.push(entry.pendingSetup);
+    entry.pendingSetup = null;
+  }
+  const cleanup = entry.cleanup;
+  entry.cleanup = null;
+  const cleanupPromise = cleanup
+    ? safeCleanup(cleanup, manager, entry.key, phase)
+    : null;
+  if (cleanupPromise) {
+    pending.push(
+      cleanupPromise.then(() =>
+        emitDisposableEvent(manager, phase, entry.key, reason, startTime),
+      ),
+    );
+  } else if (cleanup) {
+    emitDisposableEvent(manager, phase, entry.key, reason, startTime);
+  }
+  if (pending.length === 0) {
+    return null;
+  }
+
+  const done = Promise.all(pending).then(() => undefined);
+  trackPendingCleanup(manager, done);
+  return done;
+};
+
+const isEntryPaused = (entry: DisposableEntry): boolean =>
+  entry.pausedBy.size > 0;
+
+const getExpiresAt = (options: DisposableOptions): number | null => {
+  if (options.expiresAt !== undefined) {
+    return +options.expiresAt;
+  }
+  return options.ttlMs !== undefined ? Date.now() + options.ttlMs : null;
+};
+
+// Expiring works just like a manual dispose
+const scheduleExpiry = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  if (entry.expiryTimer) {
+    clearTimeout(entry.expiryTimer);
+    entry.expiryTimer = null;
+  }
+  if (entry.expiresAt === null) {
+    return;
+  }
+  entry.expiryTimer = setTimeout(
+    () => {
+      entry.expiryTimer = null;
+      if (manager.registry.get(entry.key) === entry) {
+        removeEntry(manager, entry, "expired");
+      }
+    },
+    Math.max(0, entry.expiresAt - Date.now()),
+  );
+};
+
+// Puts the TTL on hold for the duration of a pause, unless paused time counts toward it
+const holdExpiry = (entry: DisposableEntry): void => {
+  if (entry.options.ttlCountsPausedTime !== false || entry.expiresAt === null) {
+    return;
+  }
+  entry.ttlRemainingMs = Math.max(0, entry.expiresAt - Date.now());
+  entry.expiresAt = null;
+  if (entry.expiryTimer) {
+    clearTimeout(entry.expiryTimer);
+    entry.expiryTimer = null;
+  }
+};
+
+const releaseExpiry = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  if (entry.ttlRemainingMs === null) {
+    return;
+  }
+  entry.expiresAt = Date.now() + entry.ttlRemainingMs;
+  entry.ttlRemainingMs = null;
+  scheduleExpiry(entry, manager);
+};
+
+// Only the first pause reason tears the entry down, and only removing the last one
+// sets it up again, so overlapping pauses never double-clean or double-setup.
+// Returns a promise while an async cleanup is running, like stopEntry.
+const pauseEntry = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+  reason: PauseReason,
+): Promise<void> | null => {
+  if (!entry.repeatable) {
+    return null;
+  }
+  const wasPaused = isEntryPaused(entry);
+  entry.pausedBy.add(reason);
+  notifyDisposablesChanged(manager.state);
+  updateSingletonActivity(
+    manager.state,
+    manager.config,
+    entry.options.singleton,
+  );
+  if (wasPaused) {
+    return null;
+  }
+  entry.pausedAt = Date.now();
+  holdExpiry(entry);
+  suspendDependents(manager, entry.key);
+  return stopEntry(entry, manager, "pause", describePauseReason(reason));
+};
+
+const resumeEntry = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+  reason: PauseReason,
+): void => {
+  if (!entry.pausedBy.delete(reason)) {
+    return;
+  }
+  notifyDisposablesChanged(manager.state);
+  updateSingletonActivity(
+    manager.state,
+    manager.config,
+    entry.options.singleton,
+  );
+  if (!isEntryPaused(entry)) {
+    const pausedForMs = entry.pausedAt === null ? 0 : Date.now() - entry.pausedAt;
+    entry.pausedAt = null;
+    // Entries that started out paused have never been set up, so this is their first run
+    const setupReason = entry.setupCount > 0 ? "resume" : entry.addReason;
+    releaseExpiry(entry, manager);
+    const cause =
+      setupReason === "resume" ? describePauseReason(reason) : setupReason;
+    if (
+      startEntry(entry, manager, setupReason, pausedForMs, cause) === "done"
+    ) {
+      restoreDependents(manager, entry.key);
+    }
+  }
+};
+
+const dependencyReason = (key: string): PauseReason => `dependsOn:${key}`;
+
+const getDependents = (
+  manager: DisposablesManager,
+  key: string,
+): DisposableEntry[] =>
+  [...manager.registry.values()].filter((entry) =>
+    entry.dependsOn.includes(key),
+  );
+
+// Cleans up everything built on `key`, last added first, before `key` itself goes away.
+// Dependents stay registered and wait for `key` to be set up again.
+const suspendDependents = (manager: DisposablesManager, key: string): void => {
+  getDependents(manager, key)
+    .reverse()
+    .forEach((dependent) => {
+      pauseEntry(dependent, manager, dependencyReason(key));
+    });
+};
+
+// Sets dependents up again, in the order they were added, once `key` is set up
+const restoreDependents = (manager: DisposablesManager, key: string): void => {
+  getDependents(manager, key).forEach((dependent) => {
+    resumeEntry(dependent, manager, dependencyReason(key));
+  });
+};
+
+// Cleans up an entry and sets it up again, taking its dependents along
+const restartEntry = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+  reason: SetupReason,
+): void => {
+  suspendDependents(manager, entry.key);
+  stopEntry(entry, manager, "cleanup", reason);
+  if (startEntry(entry, manager, reason) === "done") {
+    restoreDependents(manager, entry.key);
+  }
+};
+
+// Entries in the order they are cleaned up in, see the teardownOrder option.
+// Dependents always come before the entries they depend on.
+const inTeardownOrder = (
+  entries: Iterable<DisposableEntry>,
+  config: DisposablesConfig,
+): DisposableEntry[] => {
+  const ordered =
+    config.teardownOrder === "fifo" ? [...entries] : [...entries].reverse();
+  const result: DisposableEntry[] = [];
+  const visited = new Set<DisposableEntry>();
+  const visit = (entry: DisposableEntry): void => {
+    if (visited.has(entry)) {
+      return;
+    }
+    visited.add(entry);
+    ordered
+      .filter((dependent) => dependent.dependsOn.includes(entry.key))
+      .forEach(visit);
+    result.push(entry);
+  };
+  ordered.forEach(visit);
+  return result;
+};
+
+const pauseAllDisposables = (
+  state: DisposablesState,
+  source: PauseSource,
+): void => {
+  state.allManagers.forEach((manager) => {
+    inTeardownOrder(manager.registry.values(), manager.config).forEach(
+      (entry) => {
+        if (entry.pauseSources.includes(source)) {
+          pauseEntry(entry, manager, source);
+        }
+      },
+    );
+  });
+};
+
+// Resumes everything the source was holding back. Higher priority entries go first,
+// and with resumeStaggerMs/resumeJitterMs they are spread out over time instead of
+// all hitting the network at once.
+const resumeAllDisposables = (
+  state: DisposablesState,
+  source: PauseSource,
+): void => {
+  const resumable: [DisposableEntry, DisposablesManager][] = [];
+  state.allManagers.forEach((manager) => {
+    manager.registry.forEach((entry) => {
+      if (entry.pausedBy.has(source)) {
+        resumable.push([entry, manager]);
+      }
+    });
+  });
+  // Entries still paused for another reason only drop this one, without taking
+  // a stagger slot away from the entries that actually resume
+  const staggered = resumable.filter(([entry]) =>
+    [...entry.pausedBy].every(
+      (reason) => reason === source || reason === "staggered-resume",
+    ),
+  );
+  resumable
+    .filter((resumableEntry) => !staggered.includes(resumableEntry))
+    .forEach(([entry, manager]) => resumeEntry(entry, manager, source));
+  staggered.sort(
+    ([a], [b]) => (b.options.priority ?? 0) - (a.options.priority ?? 0),
+  );
+
+  staggered.forEach(([entry, manager], index) => {
+    const { resumeStaggerMs, resumeJitterMs } = manager.config;
+    const delay = index * resumeStaggerMs + Math.random() * resumeJitterMs;
+    if (delay > 0) {
+      if (entry.resumeTimer) {
+        clearTimeout(entry.resumeTimer);
+      }
+      entry.pausedBy.add("staggered-resume");
+      entry.resumeTimer = setTimeout(() => {
+        entry.resumeTimer = null;
+        resumeEntry(entry, manager, "staggered-resume");
+      }, delay);
+    }
+    resumeEntry(entry, manager, source);
+  });
+};
+
+const shallowEqualArrays = (a: unknown[], b: unknown[]): boolean =>
+  a.length === b.length && a.every((value, index) => Object.is(value, b[index]));
+
+const readDeps = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): unknown[] | null => {
+  if (!entry.options.deps) {
+    return null;
+  }
+  try {
+    return entry.options.deps(manager.getValues());
+  } catch (error) {
+    reportError(error, manager, entry.key, "setup");
+    return entry.depsValues;
+  }
+};
+
+// Re-runs every entry whose deps changed. Paused entries only record the new deps,
+// their setup runs with the latest values once they resume.
+const checkDeps = (manager: DisposablesManager): void => {
+  manager.registry.forEach((entry) => {
+    if (!entry.depsValues) {
+      return;
+    }
+    const nextDeps = readDeps(entry, manager);
+    if (!nextDeps || shallowEqualArrays(entry.depsValues, nextDeps)) {
+      return;
+    }
+    entry.depsValues = nextDeps;
+    if (!isEntryPaused(entry)) {
+      restartEntry(entry, manager, "deps");
+    }
+  });
+};
+
+const watchDeps = (manager: DisposablesManager): void => {
+  if (manager.unsubscribeFromStore) {
+    return;
+  }
+  manager.unsubscribeFromStore = getContext().store.subscribe(() =>
+    checkDeps(manager),
+  );
+};
+
+const handlePauseSourceChange = (
+  state: DisposablesState,
+  source: PauseSource,
+): void => {
+  if (source.shouldPause()) {
+    pauseAllDisposables(state, source);
+  } else {
+    resumeAllDisposables(state, source);
+  }
+};
+
+// Sources are reference counted: subscribed for the first user, unsubscribed after the last
+const retainPauseSource = (
+  state: DisposablesState,
+  source: PauseSource,
+): void => {
+  const attached = state.sources.get(source);
+  if (attached) {
+    attached.count++;
+    return;
+  }
+
+  const unsubscribe = source.subscribe(() =>
+    handlePauseSourceChange(state, source),
+  );
+  state.sources.set(source, { count: 1, unsubscribe });
+};
+
+const releasePauseSource = (
+  state: DisposablesState,
+  source: PauseSource,
+): void => {
+  const attached = state.sources.get(source);
+  if (!attached) {
+    return;
+  }
+
+  attached.count--;
+  if (attached.count === 0) {
+    state.sources.delete(source);
+    attached.unsubscribe();
+  }
+};
+
+const getPauseSources = (
+  options: DisposableOptions,
+  config: DisposablesConfig,
+): PauseSource[] => {
+  const sources = new Set(options.pauseWhen);
+  if (options.pauseOnPageHidden !== false && config.visibilitySource) {
+    sources.add(config.visibilitySource);
+  }
+  if (options.singleton !== undefined) {
+    sources.add(config.leaderElector.getSource(options.singleton));
+  }
+  return [...sources];
+};
+
+// A tab only holds on to a singleton while it would run it: once every entry using
+// it is paused for another reason, e.g. the page is hidden, another tab can lead
+const updateSingletonActivity = (
+  state: DisposablesState,
+  config: DisposablesConfig,
+  name: string | undefined,
+): void => {
+  if (name === undefined) {
+    return;
+  }
+  const source = config.leaderElector.getSource(name);
+  const entries = [...state.allManagers].flatMap((manager) =>
+    [...manager.registry.values()].filter((entry) =>
+      entry.pauseSources.includes(source),
+    ),
+  );
+  if (entries.length === 0) {
+    return;
+  }
+  config.leaderElector.setActive(
+    name,
+    entries.some((entry) =>
+      [...entry.pausedBy].every(
+        (reason) => reason === source || reason === "staggered-resume",
+      ),
+    ),
+  );
+};
+
+const getActionTriggerTypes = (entry: DisposableEntry): string[] => [
+  ...(entry.options.disposeOn ?? []).map(String),
+  ...(entry.options.restartOn ?? []).map(String),
+];
+
+const registerActionTriggers = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  getActionTriggerTypes(entry).forEach((type) => {
+    let entries = manager.state.actionTriggers.get(type);
+    if (!entries) {
+      entries = new Map();
+      manager.state.actionTriggers.set(type, entries);
+    }
+    entries.set(entry, manager);
+  });
+};
+
+// Runs from the redux middleware, after reducers have seen the action
+const handleActionTriggers = (state: DisposablesState, type: string): void => {
+  const entries = state.actionTriggers.get(type);
+  if (!entries) {
+    return;
+  }
+
+  [...entries].forEach(([entry, manager]) => {
+    if (manager.registry.get(entry.key) !== entry) {
+      return;
+    }
+    if (entry.options.disposeOn?.some((action) => String(action) === type)) {
+      removeEntry(manager, entry, `disposeOn:${type}`);
+    } else if (!isEntryPaused(entry)) {
+      restartEntry(entry, manager, "restart");
+    }
+  });
 };
 
-type DisposablesManager = {
-  add: (
-    setup: SetupFunction,
-    key?: string,
-    options?: DisposableOptions,
-  ) => void;
-  dispose: (key: string) => boolean;
-  registry: Map<string, DisposableEntry>;
-  keyCounter: number;
-  logicPath: string;
+// Drops an entry from the registry bookkeeping, its cleanup must already have run
+const releaseEntry = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  const { state } = manager;
+  if (entry.resumeTimer) {
+    clearTimeout(entry.resumeTimer);
+    entry.resumeTimer = null;
+  }
+  if (entry.expiryTimer) {
+    clearTimeout(entry.expiryTimer);
+    entry.expiryTimer = null;
+  }
+  clearRetry(entry);
+  entry.pauseSources.forEach((source) => releasePauseSource(state, source));
+  getActionTriggerTypes(entry).forEach((type) => {
+    const entries = state.actionTriggers.get(type);
+    entries?.delete(entry);
+    if (entries?.size === 0) {
+      state.actionTriggers.delete(type);
+    }
+  });
 };
 
-// Type for logic with disposables added
-type LogicWithCache = BuiltLogic & {
-  cache: { disposables?: DisposablesManager | null; [key: string]: any };
-};
+const scopedKey = (scope: string, key: string): string =>
+  scope ? `${scope}/${key}` : key;
 
-// Global state for visibility tracking
-const globalVisibilityState = {
-  allManagers: new Set<DisposablesManager>(),
-  listenerAttached: false,
-  handler: null as (() => void) | null,
-};
+// Whether `child` is `parent` or nested somewhere inside it
+const scopeContains = (parent: string, child: string): boolean =>
+  parent === "" || child === parent || child.startsWith(`${parent}/`);
 
-// Test helper to reset global state
-export const __resetGlobalVisibilityStateForTests = (): void => {
-  if (globalVisibilityState.handler) {
-    document.removeEventListener(
-      "visibilitychange",
-      globalVisibilityState.handler,
-    );
+const isScopePaused = (manager: DisposablesManager, scope: string): boolean =>
+  [...manager.pausedScopes].some((pausedScope) =>
+    scopeContains(pausedScope, scope),
+  );
+
+// `reason` is what the events report: "dispose", "expired", "disposeOn:<type>", ...
+const removeEntry = (
+  manager: DisposablesManager,
+  entry: DisposableEntry,
+  reason: string,
+): Promise<void> | null => {
+  const startTime = now();
+  suspendDependents(manager, entry.key);
+  const cleanup = stopEntry(entry, manager, "cleanup", reason);
+  releaseEntry(entry, manager);
+  manager.registry.delete(entry.key);
+  updateSingletonActivity(
+    manager.state,
+    manager.config,
+    entry.options.singleton,
+  );
+  const emitDispose = (): void =>
+    emitDisposableEvent(manager, "dispose", entry.key, reason, startTime);
+  if (cleanup) {
+    cleanup.then(emitDispose);
+  } else {
+    emitDispose();
   }
-  globalVisibilityState.allManagers.clear();
-  globalVisibilityState.listenerAttached = false;
-  globalVisibilityState.handler = null;
+  return cleanup;
 };
 
-const safeCleanup = (cleanup: DisposableFunction, logicPath: string): void => {
-  try {
-    cleanup();
-  } catch (error) {
-    console.error(
-      `[KEA] Disposable cleanup failed in logic ${logicPath}:`,
-      error,
-    );
+const warnAboutLeftovers = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+  { listeners, timers }: SideEffectLeftovers,
+  when: string,
+): void => {
+  if (listeners === 0 && timers === 0) {
+    return;
   }
+  const leftovers = [
+    listeners > 0 && `${listeners} event listener${listeners === 1 ? "" : "s"}`,
+    timers > 0 && `${timers} timer${timers === 1 ? "" : "s"}`,
+  ].filter(Boolean);
+  warn(
+    manager,
+    `Disposable "${entry.key}" left ${leftovers.join(" and ")} behind ${when}. Make sure the cleanup removes the very same handler it added and clears every timer`,
+    entry.addStack,
+  );
 };
 
-const safeSetup = (
-  setup: SetupFunction,
-  logicPath: string,
-): DisposableFunction | null => {
+// Strict mode's first setup and cleanup, run before the real setup. Only synchronous
+// setups and cleanups are checked, async ones just run and are cleaned up.
+const probeCleanup = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  const controller = new AbortController();
+  const context: SetupContext = {
+    reason: entry.addReason,
+    signal: controller.signal,
+    pausedForMs: 0,
+    activeMs: 0,
+    remaining: (durationMs) => durationMs,
+  };
+  const tracker = createSideEffectTracker();
+  let result: ReturnType<SetupFunction>;
   try {
-    return setup();
-  } catch (error) {
-    console.error(
-      `[KEA] Disposable setup failed in logic ${logicPath}:`,
-      error,
+    result = tracker.track(() => entry.setup(controller.signal, context));
+  } catch {
+    // the real setup runs right after this and reports the error
+    return;
+  } finally {
+    controller.abort();
+  }
+
+  if (isPromiseLike<unknown>(result)) {
+    const lateCleanup = Promise.resolve(result).then((value) => {
+      const cleanup = toCleanup(value);
+      return cleanup
+        ? (safeCleanup(cleanup, manager, entry.key, "cleanup") ?? undefined)
+        : undefined;
+    }, noop);
+    trackPendingCleanup(manager, lateCleanup);
+    return;
+  }
+  const cleanup = toCleanup(result);
+  if (!cleanup) {
+    return;
+  }
+  const cleanupPromise = tracker.track(() =>
+    safeCleanup(cleanup, manager, entry.key, "cleanup"),
+  );
+  if (cleanupPromise) {
+    trackPendingCleanup(manager, cleanupPromise);
+  } else {
+    warnAboutLeftovers(
+      entry,
+      manager,
+      tracker.leftovers(),
+      "after its cleanup ran",
     );
-    return null;
   }
 };
 
-const pauseAllDisposables = (): void => {
-  globalVisibilityState.allManagers.forEach((manager) => {
-    manager.registry.forEach((entry) => {
-      if (entry.options.pauseOnPageHidden !== false && entry.cleanup) {
-        safeCleanup(entry.cleanup, manager.logicPath);
-      }
-    });
-  });
+// Strict mode's pause and resume right after the real setup, checking that pausing
+// undoes what setup did
+const checkPauseResume = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+  tracker: SideEffectTracker,
+): void => {
+  const cleanupPromise = tracker.track(() =>
+    pauseEntry(entry, manager, "strict-mode"),
+  );
+  if (!cleanupPromise) {
+    warnAboutLeftovers(entry, manager, tracker.leftovers(), "when paused");
+  }
+  resumeEntry(entry, manager, "strict-mode");
 };
 
-const resumeAllDisposables = (): void => {
-  globalVisibilityState.allManagers.forEach((manager) => {
-    manager.registry.forEach((entry) => {
-      if (entry.options.pauseOnPageHidden !== false) {
-        const cleanup = safeSetup(entry.setup, manager.logicPath);
-        if (cleanup) {
-          entry.cleanup = cleanup;
-        } else {
-          entry.cleanup = () => {};
-        }
-      }
-    });
+// Without retry, a setup that fails when the disposable is added leaves nothing
+// behind. Sync failures never get registered; this drops an async one that rejects.
+const dropIfAddFails = (
+  entry: DisposableEntry,
+  manager: DisposablesManager,
+): void => {
+  const { setupCount } = entry;
+  entry.pendingSetup?.then(() => {
+    if (
+      entry.failed &&
+      entry.setupCount === setupCount &&
+      manager.registry.get(entry.key) === entry
+    ) {
+      releaseEntry(entry, manager);
+      manager.registry.delete(entry.key);
+      notifyDisposablesChanged(manager.state);
+      updateSingletonActivity(
+        manager.state,
+        manager.config,
+        entry.options.singleton,
+      );
+    }
   });
 };
 
-const attachGlobalVisibilityListener = (): void => {
-  if (globalVisibilityState.listenerAttached) {
+const addEntry = (
+  manager: DisposablesManager,
+  scope: string,
+  setup: SetupFunction,
+  key?: string,
+  options?: DisposableOptions,
+  repeatable = true,
+): void => {
+  if (!manager.isActive) {
+    if (manager.config.devMode) {
+      warn(
+        manager,
+        `Disposable "${key ?? "(no key)"}" was added after the logic unmounted, so its setup was skipped`,
+        captureCallSite(),
+      );
+    }
     return;
   }
 
-  const handleVisibilityChange = (): void => {
-    if (document.hidden) {
-      pauseAllDisposables();
-    } else {
-      resumeAllDisposables();
-    }
+  const disposableKey = scopedKey(scope, key ?? `__auto_${manager.keyCounter++}`);
+  const disposableOptions: DisposableOptions = {
+    ...manager.config.defaultOptions,
+    ...options,
   };
 
-  globalVisibilityState.handler = handleVisibilityChange;
-  document.addEventListener("visibilitychange", handleVisibilityChange);
-  globalVisibilityState.listenerAttached = true;
-};
+  const replacing = key !== undefined && manager.registry.has(disposableKey);
+  const startTime = now();
 
-const detachGlobalVisibilityListener = (): void => {
-  if (
-    !globalVisibilityState.listenerAttached ||
-    !globalVisibilityState.handler
-  ) {
+  // If replacing a keyed disposable, clean up the previous one first
+  if (replacing) {
+    const previousEntry = manager.registry.get(disposableKey)!;
+    suspendDependents(manager, disposableKey);
+    stopEntry(previousEntry, manager, "cleanup", "replace");
+    releaseEntry(previousEntry, manager);
+  }
+
+  const entry: DisposableEntry = {
+    key: disposableKey,
+    scope,
+    autoKeyed: key === undefined,
+    createdAt: Date.now(),
+    addStack: manager.config.devMode ? captureCallSite() : null,
+    setup,
+    cleanup: null,
+    options: disposableOptions,
+    pauseSources: repeatable
+      ? getPauseSources(disposableOptions, manager.config)
+      : [],
+    controller: null,
+    pendingSetup: null,
+    pausedBy: new Set(),
+    resumeTimer: null,
+    failed: false,
+    failedAttempts: 0,
+    retryAt: null,
+    retryTimer: null,
+    addReason: replacing ? "replace" : "add",
+    repeatable,
+    setupCount: 0,
+    startedAt: null,
+    pausedAt: null,
+    activeMs: 0,
+    depsValues: null,
+    dependsOn: (disposableOptions.dependsOn ?? []).map((dependency) =>
+      scopedKey(scope, dependency),
+    ),
+    expiresAt: getExpiresAt(disposableOptions),
+    ttlRemainingMs: null,
+    expiryTimer: null,
+  };
+  entry.depsValues = readDeps(entry, manager);
+  if (entry.depsValues) {
+    watchDeps(manager);
+  }
+
+  entry.pauseSources.forEach((source) => {
+    retainPauseSource(manager.state, source);
+    if (source.shouldPause()) {
+      entry.pausedBy.add(source);
+    }
+  });
+  if (repeatable && isScopePaused(manager, scope)) {
+    entry.pausedBy.add("manual");
+  }
+  entry.dependsOn.forEach((dependency) => {
+    const parent = manager.registry.get(dependency);
+    // a parent without a cleanup isn't set up: it is paused, failed or still pending
+    if (!parent || !parent.cleanup) {
+      entry.pausedBy.add(dependencyReason(dependency));
+    }
+  });
+
+  // Added while paused, setup runs once every pause reason is gone
+  if (isEntryPaused(entry)) {
+    entry.pausedAt = Date.now();
+    manager.registry.set(disposableKey, entry);
+    updateSingletonActivity(
+      manager.state,
+      manager.config,
+      disposableOptions.singleton,
+    );
+    registerActionTriggers(entry, manager);
+    scheduleExpiry(entry, manager);
+    holdExpiry(entry);
+    notifyDisposablesChanged(manager.state);
+    checkForAutoKeyedLeaks(entry, manager);
+    if (replacing) {
+      emitDisposableEvent(
+        manager,
+        "replace",
+        disposableKey,
+        "replace",
+        startTime,
+      );
+    }
     return;
   }
-  if (globalVisibilityState.allManagers.size === 0) {
-    document.removeEventListener(
-      "visibilitychange",
-      globalVisibilityState.handler,
+
+  const strictMode = repeatable && manager.config.devMode?.strictMode;
+  const pauseResume = typeof strictMode === "object" && !!strictMode.pauseResume;
+  if (strictMode) {
+    probeCleanup(entry, manager);
+  }
+
+  // Run setup function to get cleanup function. With retry, a failed entry is kept so
+  // it can be retried.
+  const tracker = createSideEffectTracker();
+  const outcome = pauseResume
+    ? tracker.track(() => startEntry(entry, manager, entry.addReason))
+    : startEntry(entry, manager, entry.addReason);
+  const started = outcome !== "failed";
+  if (started || entry.options.retry) {
+    manager.registry.set(disposableKey, entry);
+    updateSingletonActivity(
+      manager.state,
+      manager.config,
+      disposableOptions.singleton,
     );
-    globalVisibilityState.listenerAttached = false;
-    globalVisibilityState.handler = null;
+    registerActionTriggers(entry, manager);
+    scheduleExpiry(entry, manager);
+    checkForAutoKeyedLeaks(entry, manager);
+    if (outcome === "done") {
+      restoreDependents(manager, disposableKey);
+    }
+    if (outcome === "pending" && !entry.options.retry) {
+      dropIfAddFails(entry, manager);
+    }
+    if (started && pauseResume && entry.cleanup) {
+      checkPauseResume(entry, manager, tracker);
+    }
+    if (replacing) {
+      emitDisposableEvent(
+        manager,
+        "replace",
+        disposableKey,
+        "replace",
+        startTime,
+      );
+    }
+  } else {
+    // Don't keep the already cleaned up entry this one was meant to replace
+    releaseEntry(entry, manager);
+    manager.registry.delete(disposableKey);
   }
 };
 
-const initializeDisposablesManager = (logic: LogicWithCache): void => {
-  if (logic.cache.disposables) {
+// Holder setups, by the id of the resource they hold. Tells a repeated share() apart
+// from a different disposable that happens to use the same key.
+const sharedHolders = new WeakMap<SetupFunction, string>();
+
+// The setup of a logic's entry for a shared resource. Each run takes a reference,
+// creating the resource for the first holder, and its cleanup gives it back, cleaning
+// the resource up after the last holder. Errors surface as the entry's own.
+const createSharedHolder = <T>(
+  state: DisposablesState,
+  id: string,
+  setup: SharedSetupFunction<T>,
+): SetupFunction => {
+  const holderSetup: SetupFunction = () => {
+    let shared = state.shared.get(id);
+    if (!shared) {
+      const controller = new AbortController();
+      const { resource, cleanup } = setup(controller.signal);
+      shared = { resource, cleanup, controller, holders: 0 };
+      state.shared.set(id, shared);
+    }
+    shared.holders++;
+    const held = shared;
+    return () => {
+      held.holders--;
+      if (held.holders > 0) {
+        return;
+      }
+      state.shared.delete(id);
+      held.controller.abort();
+      return held.cleanup();
+    };
+  };
+  sharedHolders.set(holderSetup, id);
+  return holderSetup;
+};
+
+const getSharedResource = <T>(state: DisposablesState, id: string): T | null =>
+  state.shared.has(id) ? (state.shared.get(id)!.resource as T) : null;
+
+// Disposes every disposable in the scope, nested scopes included, returns how many
+const disposeScope = (manager: DisposablesManager, scope: string): number => {
+  const entries = inTeardownOrder(
+    entriesInScope(manager, scope),
+    manager.config,
+  );
+  entries.forEach((entry) => removeEntry(manager, entry, "disposeAll"));
+  return entries.length;
+};
+
+const entriesInScope = (
+  manager: DisposablesManager,
+  scope: string,
+): DisposableEntry[] =>
+  [...manager.registry.values()].filter((entry) =>
+    scopeContains(scope, entry.scope),
+  );
+
+// The methods shared by cache.disposables and its child scopes. They close over the
+// manager rather than reading cache.disposables, so a stale reference can never reach
+// the manager of a later mount of the same logic.
+const createScopeMethods = (
+  manager: DisposablesManager,
+  scope: string,
+): Omit<DisposablesScope, "isActive"> => ({
+  add: (setup: SetupFunction, key?: string, options?: DisposableOptions) =>
+    addEntry(manager, scope, setup, key, options),
+  dispose: (key: string) => {
+    const entry = manager.registry.get(scopedKey(scope, key));
+    if (!entry) {
+      return false;
+    }
+    removeEntry(manager, entry, "dispose");
+    return true;
+  },
+  disposeAsync: async (key: string) => {
+    const entry = manager.registry.get(scopedKey(scope, key));
+    if (!entry) {
+      return false;
+    }
+    await removeEntry(manager, entry, "dispose");
+    return true;
+  },
+  flush: () => waitForCleanups(manager.pendingCleanups),
+  pause: (key?: string) => {
+    if (!manager.isActive) {
+      return false;
+    }
+    if (key === undefined) {
+      manager.pausedScopes.add(scope);
+      inTeardownOrder(entriesInScope(manager, scope), manager.config).forEach(
+        (entry) => {
+          pauseEntry(entry, manager, "manual");
+        },
+      );
+      return true;
+    }
+
+    const entry = manager.registry.get(scopedKey(scope, key));
+    if (!entry) {
+      return false;
+    }
+    pauseEntry(entry, manager, "manual");
+    return true;
+  },
+  resume: (key?: string) => {
+    if (!manager.isActive) {
+      return false;
+    }
+    if (key === undefined) {
+      manager.pausedScopes.delete(scope);
+      entriesInScope(manager, scope).forEach((entry) => {
+        // a parent scope that is still paused keeps holding its entries back
+        if (!isScopePaused(manager, entry.scope)) {
+          resumeEntry(entry, manager, "manual");
+        }
+      });
+      return true;
+    }
+
+    const entry = manager.registry.get(scopedKey(scope, key));
+    // as in the keyless resume, a paused parent scope keeps holding it back
+    if (!entry || isScopePaused(manager, entry.scope)) {
+      return false;
+    }
+    resumeEntry(entry, manager, "manual");
+    return true;
+  },
+  isPaused: (key: string) => {
+    const entry = manager.registry.get(scopedKey(scope, key));
+    return !!entry && isEntryPaused(entry);
+  },
+  scope: (name: string) => createScope(manager, scopedKey(scope, name)),
+  share: <T>(
+    id: string,
+    setup: SharedSetupFunction<T>,
+    options?: DisposableOptions,
+  ) => {
+    const holder = manager.registry.get(scopedKey(scope, id));
+    if (!holder || sharedHolders.get(holder.setup) !== id) {
+      addEntry(
+        manager,
+        scope,
+        createSharedHolder(manager.state, id, setup),
+        id,
+        options,
+      );
+    }
+    // After unmount add() skips the holder, so there is no hold to hand out
+    return manager.isActive ? getSharedResource<T>(manager.state, id) : null;
+  },
+  getShared: <T>(id: string) => getSharedResource<T>(manager.state, id),
+  disposeByTag: (tag: string) => {
+    const tagged = inTeardownOrder(
+      entriesInScope(manager, scope),
+      manager.config,
+    ).filter((entry) => entry.options.tags?.includes(tag));
+    tagged.forEach((entry) => removeEntry(manager, entry, `tag:${tag}`));
+    return tagged.length;
+  },
+  disposeAll: () => disposeScope(manager, scope),
+  use: (resource, key) => {
+    // like `using`, there is nothing to do for null and undefined
+    if (resource === null || resource === undefined) {
+      return resource;
+    }
+    const cleanup = typeof resource === "object" ? toCleanup(resource) : null;
+    if (!cleanup) {
+      throw new Error(
+        "[KEA] cache.disposables.use() takes an object with a Symbol.dispose or Symbol.asyncDispose method. Pass setup functions to add() instead.",
+      );
+    }
+    const wasActive = manager.isActive;
+    addEntry(manager, scope, () => cleanup, key, undefined, false);
+    if (!wasActive) {
+      // The logic is gone and add() skipped it, but the resource already exists
+      const cleanupPromise = safeCleanup(
+        cleanup,
+        manager,
+        key ?? "(no key)",
+        "cleanup",
+      );
+      if (cleanupPromise) {
+        trackPendingCleanup(manager, cleanupPromise);
+      }
+    }
+    return resource;
+  },
+  ...({
+    [wellKnownSymbol("dispose")]: () => {
+      disposeScope(manager, scope);
+    },
+    [wellKnownSymbol("asyncDispose")]: async () => {
+      disposeScope(manager, scope);
+      await waitForCleanups(manager.pendingCleanups);
+    },
+  } as DisposeMethods),
+});
+
+const createScope = (
+  manager: DisposablesManager,
+  scope: string,
+): DisposablesScope => ({
+  get isActive() {
+    return manager.isActive;
+  },
+  ...createScopeMethods(manager, scope),
+});
+
+const initializeDisposablesManager = (
+  logic: LogicWithCache,
+  config: DisposablesConfig,
+  state: DisposablesState,
+): void => {
+  if (logic.cache.disposables?.isActive) {
     return;
   }
 
-  const getManager = (): DisposablesManager => logic.cache.disposables!;
-
-  const manager: DisposablesManager = {
+  const manager = {
+    isActive: true,
     registry: new Map(),
     keyCounter: 0,
     logicPath: logic.pathString,
-    add: (setup: SetupFunction, key?: string, options?: DisposableOptions) => {
-      const manager = getManager();
-      const disposableKey = key ?? `__auto_${manager.keyCounter++}`;
-      const disposableOptions: DisposableOptions = {
-        pauseOnPageHidden: true,
-        ...options,
-      };
-
-      // If replacing a keyed disposable, clean up the previous one first
-      if (key && manager.registry.has(disposableKey)) {
-        const previousEntry = manager.registry.get(disposableKey)!;
-        safeCleanup(previousEntry.cleanup, logic.pathString);
-      }
+    config,
+    pausedScopes: new Set(),
+    getValues: () => logic.values,
+    unsubscribeFromStore: null,
+    nextAutoKeyedWarningAt: config.devMode?.autoKeyedThreshold ?? Infinity,
+    warnedDuplicateSetups: new Set(),
+    pendingCleanups: new Set(),
+    failedCleanups: new Set(),
+    state,
+  } as unknown as DisposablesManager;
+  Object.assign(manager, createScopeMethods(manager, ""));
 
-      // Run setup function to get cleanup function
-      const cleanup = safeSetup(setup, logic.pathString);
-      if (cleanup) {
-        manager.registry.set(disposableKey, {
-          setup,
-          cleanup,
-          options: disposableOptions,
-        });
-      }
-    },
-    dispose: (key: string) => {
-      const manager = getManager();
-      if (!manager.registry.has(key)) {
-        return false;
-      }
+  logic.cache.disposables = manager;
+  mountedPaths.set(logic.wrapper, manager.logicPath);
+  state.leftovers.delete(manager.logicPath);
 
-      const entry = manager.registry.get(key)!;
-      safeCleanup(entry.cleanup, logic.pathString);
-      manager.registry.delete(key);
-      return true;
-    },
-  };
+  // Register this manager for pause tracking. Every mounted logic keeps the
+  // visibility source attached, as that is what disposables pause on by default.
+  state.allManagers.add(manager);
+  if (config.visibilitySource) {
+    retainPauseSource(state, config.visibilitySource);
+  }
+  notifyDisposablesChanged(state);
+};
 
-  logic.cache.disposables = manager;
+// Cleans up every disposable of a logic. The closed manager stays on `cache`.
+const closeDisposablesManager = (manager: DisposablesManager): void => {
+  const { state } = manager;
+  manager.isActive = false;
+
+  // Unregister from pause tracking
+  state.allManagers.delete(manager);
+  manager.unsubscribeFromStore?.();
+  manager.unsubscribeFromStore = null;
+
+  // Clean up all disposables
+  const entries = inTeardownOrder(manager.registry.values(), manager.config);
+  entries.forEach((entry) => {
+    stopEntry(entry, manager, "cleanup", "unmount");
+    releaseEntry(entry, manager);
+  });
+  manager.registry.clear();
+  state.leftovers.set(manager.logicPath, manager);
+  forgetLeftovers(manager);
+  // other logics may still use the same singletons
+  entries.forEach((entry) =>
+    updateSingletonActivity(state, manager.config, entry.options.singleton),
+  );
 
-  // Register this manager for global visibility tracking
-  globalVisibilityState.allManagers.add(manager);
-  attachGlobalVisibilityListener();
+  // Detach global listeners no other logic needs
+  if (manager.config.visibilitySource) {
+    releasePauseSource(state, manager.config.visibilitySource);
+  }
+  notifyDisposablesChanged(state);
 };
 
 /**
@@ -217,12 +2217,82 @@ const initializeDisposablesManager = (logic: LogicWithCache): void => {
  * }))
  * ```
  *
+ * ## Async Setup
+ *
+ * Setup may be async. It receives an `AbortSignal` that aborts when the disposable is
+ * disposed, replaced, paused or unmounted. If the promise resolves after that, the
+ * returned cleanup runs immediately, so nothing leaks.
+ *
+ * ```typescript
+ * cache.disposables.add(async (signal) => {
+ *     const token = await fetchToken({ signal })
+ *     const socket = new WebSocket(`${url}?token=${token}`)
+ *     return () => socket.close()
+ * }, 'socket')
+ * ```
+ *
+ * ## Async Cleanup
+ *
+ * Cleanups may return a promise. `disposeAsync(key)`, `flush()` and the global
+ * `whenAllDisposed()` resolve once teardown has really finished, and rejections are
+ * reported like any other cleanup failure.
+ *
+ * ```typescript
+ * cache.disposables.add(() => {
+ *     const player = createPlayer()
+ *     return () => player.destroy()
+ * }, 'player')
+ *
+ * await cache.disposables.disposeAsync('player')
+ * ```
+ *
+ * ## Explicit Resource Management
+ *
+ * Setup may return an object with `Symbol.dispose` or `Symbol.asyncDispose`, such as a
+ * `DisposableStack`. `use(resource, key?)` takes care of a resource that already
+ * exists, and scopes dispose everything in them on `Symbol.dispose`, so they work
+ * with `using`.
+ *
+ * ```typescript
+ * const db = cache.disposables.use(await openDatabase(), 'db')
+ *
+ * using request = cache.disposables.scope('request')
+ * ```
+ *
+ * ## Retrying Failed Setups
+ *
+ * With `retry`, a setup that throws, rejects or returns no cleanup is tried again with
+ * exponential backoff. An entry out of attempts stays registered as `failed`, so
+ * introspection shows it, and resuming tries again.
+ *
+ * ```typescript
+ * cache.disposables.add(connectSocket, 'socket', {
+ *     retry: { maxAttempts: 5, delayMs: 1000, maxDelayMs: 30_000, jitterMs: 500 },
+ * })
+ * ```
+ *
+ * ## Setup Context
+ *
+ * The second argument tells setup why it is running. A poller can skip its immediate
+ * fetch after a short pause, and a timeout can continue with the time it had left.
+ *
+ * ```typescript
+ * cache.disposables.add((signal, { reason, pausedForMs, remaining }) => {
+ *     if (reason !== 'resume' || pausedForMs > 60_000) {
+ *         actions.pollData()
+ *     }
+ *     const id = setTimeout(() => actions.showReminder(), remaining(30_000))
+ *     return () => clearTimeout(id)
+ * }, 'reminder')
+ * ```
+ *
  * ## Key Features
  *
  * - **Automatic cleanup**: Cleanup functions run when the logic unmounts
  * - **Smart pause/resume**: Disposables automatically pause when page is hidden (NEW!)
  * - **Named disposables**: Use keys to replace or dispose specific resources
  * - **Safe execution**: Errors in cleanup are caught and logged
+ * - **Async setup**: Setup can return a promise and is cancelled via `AbortSignal`
  * - **Similar to useEffect**: Setup returns cleanup, just like React hooks
  *
  * ## Automatic Pause on Page Hidden
@@ -249,6 +2319,188 @@ const initializeDisposablesManager = (logic: LogicWithCache): void => {
  * }, 'navigation', { pauseOnPageHidden: false })
  * ```
  *
+ * ## Smoothing Out Tab Switches
+ *
+ * `hideDelayMs` waits before pausing, so quick alt-tabs don't rebuild anything.
+ * `resumeStaggerMs` and `resumeJitterMs` spread resumes out over time, highest
+ * `priority` first, so returning to a tab doesn't fire every request at once.
+ *
+ * ```typescript
+ * createDisposablesPlugin({ hideDelayMs: 10_000, resumeStaggerMs: 50, resumeJitterMs: 200 })
+ *
+ * cache.disposables.add(setupSocket, 'socket', { priority: 10 })
+ * ```
+ *
+ * ## Server Rendering and Workers
+ *
+ * The plugin detects where it runs. Without a `document` (server rendering, workers)
+ * visibility pausing is off, singletons run without electing a leader, and everything
+ * else works as usual. Pass `environment`
+ * to choose explicitly, e.g. `createDisposablesPlugin({ environment: serverEnvironment })`.
+ *
+ * ## Other Pause Sources
+ *
+ * Besides page visibility, disposables can pause while offline, after user inactivity,
+ * or on any custom `PauseSource`. An entry is paused while any of its sources says so.
+ *
+ * ```typescript
+ * const idleSource = createIdlePauseSource({ timeoutMs: 5 * 60_000 })
+ *
+ * cache.disposables.add(() => {
+ *     const id = setInterval(() => actions.pollData(), 5000)
+ *     return () => clearInterval(id)
+ * }, 'polling', { pauseWhen: [offlinePauseSource, idleSource] })
+ * ```
+ *
+ * ## Manual Pause
+ *
+ * Pause resources without disposing them, e.g. while a panel is collapsed. This runs
+ * the same cleanup and setup as visibility pausing, and the two never undo each other:
+ * an entry only resumes once the page is visible and it has been resumed manually.
+ *
+ * ```typescript
+ * cache.disposables.pause('polling') // one disposable
+ * cache.disposables.pause() // every disposable in this logic
+ * cache.disposables.isPaused('polling') // true
+ * cache.disposables.resume()
+ * ```
+ *
+ * ## Re-running on Dependency Changes
+ *
+ * Pass `deps` to re-run a disposable whenever some of the logic's values change,
+ * the same way React's useEffect deps work. Changes while paused apply on resume.
+ *
+ * ```typescript
+ * cache.disposables.add(() => {
+ *     const id = setInterval(() => actions.pollData(), values.interval)
+ *     return () => clearInterval(id)
+ * }, 'polling', { deps: (values) => [values.interval] })
+ * ```
+ *
+ * ## Configuration
+ *
+ * `disposablesPlugin` is the zero-config instance. Create a configured one to report
+ * failures elsewhere or change the app-wide defaults:
+ *
+ * ```typescript
+ * resetContext({
+ *     plugins: [
+ *         createDisposablesPlugin({
+ *             // phase is 'setup' | 'cleanup' | 'pause' | 'resume'
+ *             onError: (error, { logicPath, key, phase }) =>
+ *                 errorTracker.capture(error, { logicPath, key, phase }),
+ *             // make pausing opt-in instead of opt-out
+ *             defaultOptions: { pauseOnPageHidden: false },
+ *         }),
+ *     ],
+ * })
+ * ```
+ *
+ * ## Action Triggers
+ *
+ * Dispose or restart a disposable when actions are dispatched, instead of writing a
+ * listener that only calls `dispose`. Works with actions of connected logics too.
+ *
+ * ```typescript
+ * cache.disposables.add(setupPolling, 'polling', {
+ *     disposeOn: [actions.stopPolling, otherLogic.actionTypes.logout],
+ *     restartOn: [actions.refresh],
+ * })
+ * ```
+ *
+ * ## Expiring Disposables
+ *
+ * `ttlMs` and `expiresAt` dispose a disposable by itself once its time is up, just like
+ * calling `dispose`. Adding the same key again starts the TTL over. Paused time counts
+ * toward the TTL unless `ttlCountsPausedTime` is `false`.
+ *
+ * ```typescript
+ * cache.disposables.add(startLiveStream, 'live-mode', { ttlMs: 30_000 })
+ * ```
+ *
+ * ## Teardown Order and Dependencies
+ *
+ * Disposables are cleaned up last added first and set up again in the order they were
+ * added. `dependsOn` makes the dependency explicit: dependents are cleaned up before
+ * their parent is disposed, replaced or paused, and set up again after it.
+ *
+ * ```typescript
+ * cache.disposables.add(createMap, 'mapInstance')
+ * cache.disposables.add(observeMap, 'mapObserver', { dependsOn: ['mapInstance'] })
+ * ```
+ *
+ * ## Sharing Resources Between Logics
+ *
+ * `share(id, setup)` creates a resource once for every logic in the kea context and
+ * cleans it up after the last logic holding it disposes it, unmounts or pauses.
+ *
+ * ```typescript
+ * const observer = cache.disposables.share('resize-observer', () => {
+ *     const observer = new ResizeObserver(onResize)
+ *     return { resource: observer, cleanup: () => observer.disconnect() }
+ * })
+ * ```
+ *
+ * ## Singletons Across Tabs
+ *
+ * A `singleton` disposable runs in only one browser tab at a time. The tabs elect a
+ * leader over a `BroadcastChannel`, and another tab takes over when the leader's tab
+ * closes, its logic unmounts or its disposable pauses, e.g. because the page is
+ * hidden. Configure the election with `leaderElection`.
+ *
+ * ```typescript
+ * cache.disposables.add(connectSocket, 'socket', {
+ *     singleton: 'notifications-socket',
+ * })
+ * ```
+ *
+ * ## Scopes and Tags
+ *
+ * Group disposables that must go together without unmounting the logic. A scope has
+ * the same API as `cache.disposables`, and pausing reaches into scopes as usual.
+ *
+ * ```typescript
+ * const session = cache.disposables.scope('session')
+ * session.add(setupAutosave, 'autosave')
+ * session.add(setupCursorSync, 'cursors', { tags: ['collaboration'] })
+ *
+ * cache.disposables.disposeByTag('collaboration') // just the tagged ones
+ * session.disposeAll() // everything in the session
+ * ```
+ *
+ * ## Dev Mode
+ *
+ * With `devMode: true` the plugin warns, with the logic path and the call site, when
+ * auto-keyed disposables keep piling up in a logic, when the same setup is added
+ * again and again without a key, and when setup returns something other than a function.
+ * `devMode: { strictMode: true }` runs setup, cleanup and setup again on every `add`, like
+ * React's StrictMode, and warns when the cleanup leaves listeners or timers behind.
+ *
+ * ## Introspection
+ *
+ * `getDisposablesSnapshot()` lists every live disposable of the current kea context
+ * by logic path, and `subscribeToDisposables(listener)` reports changes. With
+ * `devtools: true` both are exposed on `window.__KEA_DISPOSABLES__`, along with
+ * `print()` for a console table. `getDisposablesLeftovers(logic)` tells which cleanups
+ * failed or are still running, also after the logic unmounted.
+ *
+ * ## Lifecycle Events
+ *
+ * `onEvent` (or `subscribeToDisposableEvents(listener)`) receives every setup, cleanup,
+ * pause, resume, replace, dispose and error, with the logic path, key, reason and how
+ * long it took. `performanceMarks: true` also records them with `performance.measure`.
+ *
+ * ```typescript
+ * createDisposablesPlugin({
+ *     onEvent: ({ type, key, reason, durationMs }) => metrics.timing(`${type}.${key}`, durationMs),
+ * })
+ * ```
+ *
+ * ## Kea Contexts
+ *
+ * State is kept per kea context. When a context closes (e.g. on `resetContext()`),
+ * every disposable still alive in it is cleaned up and its listeners are detached.
+ *
  * ## Common Use Cases
  *
  * - Event listeners (window.addEventListener)
@@ -277,29 +2529,141 @@ const initializeDisposablesManager = (logic: LogicWithCache): void => {
  * cache.disposables.dispose('pollingInterval')
  * ```
  */
-export const disposablesPlugin: KeaPlugin = {
-  name: "disposables",
-  events: {
-    afterMount(logic) {
-      const typedLogic = logic as LogicWithCache;
-      initializeDisposablesManager(typedLogic);
+export const createDisposablesPlugin = (
+  options: DisposablesPluginOptions = {},
+): KeaPlugin => {
+  const environment = options.environment ?? detectEnvironment();
+  const config: DisposablesConfig = {
+    onError: options.onError ?? null,
+    defaultOptions: {
+      pauseOnPageHidden: true,
+      ...options.defaultOptions,
     },
-    beforeUnmount(logic) {
-      const typedLogic = logic as LogicWithCache;
-      // Only dispose on final unmount when logic.isMounted() becomes false
-      if (!typedLogic.isMounted() && typedLogic.cache.disposables) {
-        // Unregister from global visibility tracking
-        globalVisibilityState.allManagers.delete(typedLogic.cache.disposables);
-
-        // Clean up all disposables
-        typedLogic.cache.disposables.registry.forEach((entry) => {
-          safeCleanup(entry.cleanup, typedLogic.pathString);
-        });
-        typedLogic.cache.disposables = null;
+    logger: options.logger ?? console,
+    visibilitySource: environment.createVisibilitySource({
+      hideDelayMs: options.hideDelayMs,
+    }),
+    resumeStaggerMs: options.resumeStaggerMs ?? 0,
+    resumeJitterMs: options.resumeJitterMs ?? 0,
+    teardownOrder: options.teardownOrder ?? "lifo",
+    onEvent: options.onEvent ?? null,
+    performanceMarks: options.performanceMarks ?? false,
+    leaderElector: createLeaderElector(
+      // Node has a BroadcastChannel too, but a server render or a worker isn't a tab
+      environment.hasTabs ? options.leaderElection : { channel: null },
+    ),
+    devMode: options.devMode
+      ? {
+          autoKeyedThreshold: 20,
+          strictMode: false,
+          ...(options.devMode === true ? {} : options.devMode),
+        }
+      : null,
+  };
 
-        // Detach global listener if no more managers
-        detachGlobalVisibilityListener();
-      }
+  return {
+    name: PLUGIN_NAME,
+    events: {
+      afterPlugin() {
+        setPluginContext(PLUGIN_NAME, createDisposablesState(config.logger));
+        if (options.devtools && typeof window !== "undefined") {
+          (window as any).__KEA_DISPOSABLES__ = disposablesDevtools;
+        }
+      },
+      beforeReduxStore(storeOptions) {
+        const state = getDisposablesState()!;
+        storeOptions.middleware.push(() => (next) => (action) => {
+          const response = next(action);
+          handleActionTriggers(state, action.type);
+          return response;
+        });
+      },
+      afterMount(logic) {
+        const typedLogic = logic as LogicWithCache;
+        initializeDisposablesManager(
+          typedLogic,
+          config,
+          getDisposablesState()!,
+        );
+      },
+      beforeUnmount(logic) {
+        const typedLogic = logic as LogicWithCache;
+        // Only dispose on final unmount when logic.isMounted() becomes false
+        const manager = typedLogic.cache.disposables;
+        if (!typedLogic.isMounted() && manager?.isActive) {
+          closeDisposablesManager(manager);
+        }
+      },
+      // resetContext() doesn't unmount logics, so clean up whatever is still alive
+      beforeCloseContext() {
+        const state = getDisposablesState();
+        if (!state) {
+          return;
+        }
+        [...state.allManagers].reverse().forEach(closeDisposablesManager);
+        state.sources.forEach(({ unsubscribe }) => unsubscribe());
+        state.sources.clear();
+        state.snapshotListeners.clear();
+        state.eventListeners.clear();
+      },
     },
-  },
+  };
 };
+
+/**
+ * The zero-config instance of the plugin, errors are logged to `console.error`.
+ * Use `createDisposablesPlugin(options)` to customise error handling and defaults.
+ */
+export const disposablesPlugin: KeaPlugin = createDisposablesPlugin();
+
+/**
+ * Logic builder that registers disposables when the logic mounts, keyed by the
+ * property names of the returned object. Entries live in the same registry as ones
+ * added via `cache.disposables.add`, so `dispose(key)`, replacing by key and pausing
+ * all work the same way.
+ *
+ * ```typescript
+ * kea([
+ *     disposables(({ actions }) => ({
+ *         polling: () => {
+ *             const id = setInterval(() => actions.pollData(), 5000)
+ *             return () => clearInterval(id)
+ *         },
+ *         navigation: {
+ *             setup: () => {
+ *                 window.addEventListener('popstate', actions.locationChanged)
+ *                 return () => window.removeEventListener('popstate', actions.locationChanged)
+ *             },
+ *             pauseOnPageHidden: false,
+ *         },
+ *     })),
+ * ])
+ * ```
+ */
+export const disposables =
+  <L extends Logic = Logic, Key extends string = string>(
+    input: DisposableDefinitions<Key> | ((logic: L) => DisposableDefinitions<Key>),
+  ): LogicBuilder<L> =>
+  (logic) => {
+    afterMount<L>(() => {
+      const manager = (logic as unknown as LogicWithCache).cache
+        .disposables as DisposablesManager<Key> | undefined;
+      if (!manager) {
+        throw new Error(
+          `[KEA] Logic "${logic.pathString}" uses disposables(), but the disposables plugin is not installed. Add it with resetContext({ plugins: [disposablesPlugin] }).`,
+        );
+      }
+
+      const definitions =
+        typeof input === "function" ? input(logic as unknown as L) : input;
+      for (const key of Object.keys(definitions) as Key[]) {
+        const definition = definitions[key];
+        if (typeof definition === "function") {
+          manager.add(definition, key);
+        } else {
+          const { setup, ...options } = definition;
+          manager.add(setup, key, options);
+        }
+      }
+    })(logic);
+  };
@@ -0,0 +1,377 @@
+import type { PauseSource } from "./pauseSources";
+
+/** What tabs tell each other about a singleton */
+export type LeaderMessage = {
+  /**
+   * "claim": a tab wants to lead and asks whether anyone already does.
+   * "leader": the sender leads, sent in reply to claims and as a heartbeat.
+   * "release": the sender stopped leading, anyone interested can claim.
+   */
+  type: "claim" | "leader" | "release";
+  /** The singleton name */
+  name: string;
+  /** Id of the tab that sent the message */
+  from: string;
+};
+
+/**
+ * How tabs talk to each other. A message must reach every other tab of the same
+ * origin, but not the tab that sent it, just like a `BroadcastChannel`.
+ */
+export type LeaderChannel = {
+  postMessage: (message: LeaderMessage) => void;
+  subscribe: (onMessage: (message: LeaderMessage) => void) => () => void;
+  /**
+   * Frees the channel, e.g. closes the `BroadcastChannel`. Only called on the default
+   * channel, once no singleton uses it anymore. A channel you pass in stays yours.
+   */
+  close?: () => void;
+};
+
+export type LeaderElectionOptions = {
+  /**
+   * How tabs reach each other. Defaults to `createBroadcastLeaderChannel()`.
+   * `null` means there are no other tabs, so every singleton runs right away.
+   */
+  channel?: LeaderChannel | null;
+  /** This tab's id. When two tabs claim at the same moment, the lowest id wins. */
+  tabId?: string;
+  /** How long a tab waits for a reply to its claim before it starts leading */
+  claimTimeoutMs?: number;
+  /** How often the leader tells the other tabs it is still there */
+  heartbeatMs?: number;
+  /** How long without a heartbeat before the other tabs assume the leader is gone */
+  leaseMs?: number;
+};
+
+/**
+ * A channel between the tabs of this origin: a `BroadcastChannel` where there is one,
+ * otherwise `storage` events of `localStorage`. null where neither exists, e.g. on
+ * the server.
+ */
+export const createBroadcastLeaderChannel = (
+  channelName = "kea-disposables",
+): LeaderChannel | null => {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(channelName);
+    return {
+      postMessage: (message) => channel.postMessage(message),
+      subscribe: (onMessage) => {
+        const handleMessage = (event: MessageEvent<LeaderMessage>): void =>
+          onMessage(event.data);
+        channel.addEventListener("message", handleMessage);
+        return () => channel.removeEventListener("message", handleMessage);
+      },
+      // an open channel keeps Node's event loop alive
+      close: () => channel.close(),
+    };
+  }
+
+  if (typeof window !== "undefined" && typeof localStorage !== "undefined") {
+    // storage events only fire in the other tabs, which is just what we need
+    const storageKey = `${channelName}:message`;
+    return {
+      postMessage: (message) => {
+        try {
+          // the nonce changes the value every time, otherwise a repeated message wouldn't fire
+          localStorage.setItem(
+            storageKey,
+            JSON.stringify({ message, nonce: Math.random() }),
+          );
+        } catch {
+          // storage is full or disabled, the other tabs fall back to the lease
+        }
+      },
+      subscribe: (onMessage) => {
+        const handleStorage = (event: StorageEvent): void => {
+          if (event.key === storageKey && event.newValue) {
+            onMessage(JSON.parse(event.newValue).message);
+          }
+        };
+        window.addEventListener("storage", handleStorage);
+        return () => window.removeEventListener("storage", handleStorage);
+      },
+    };
+  }
+
+  return null;
+};
+
+type Election = {
+  // the pause source's subscribers, i.e. the kea contexts using the singleton
+  subscribers: Set<() => void>;
+  // false while everything using the singleton in this tab is paused for another reason
+  active: boolean;
+  isLeader: boolean;
+  // the tab known to lead, this one included
+  leaderId: string | null;
+  claimTimer: ReturnType<typeof setTimeout> | null;
+  leaseTimer: ReturnType<typeof setTimeout> | null;
+  heartbeatTimer: ReturnType<typeof setInterval> | null;
+};
+
+export type LeaderElector = {
+  /**
+   * The pause source of a singleton, always the same one for the same name. It pauses
+   * while another tab leads. Subscribing joins the election, unsubscribing leaves it.
+   */
+  getSource: (name: string) => PauseSource;
+  /**
+   * Whether this tab would run the singleton if it led, i.e. not everything using it is
+   * paused for another reason, like the page being hidden. An inactive leader releases
+   * the singleton to the other tabs, and an inactive tab doesn't claim it. Once active
+   * again, it claims the singleton if no other tab leads.
+   */
+  setActive: (name: string, active: boolean) => void;
+};
+
+/**
+ * Elects one leading tab per singleton name. Each tab that uses a singleton claims it
+ * and leads unless another tab replies within `claimTimeoutMs`. The leader sends
+ * heartbeats, and releases the singleton when its last user goes away, everything
+ * using it pauses, or the page is hidden for good. When the leader releases it or
+ * stops sending heartbeats, the other tabs that are active claim it again.
+ */
+export const createLeaderElector = (
+  options: LeaderElectionOptions = {},
+): LeaderElector => {
+  const {
+    tabId = Math.random().toString(36).slice(2),
+    claimTimeoutMs = 200,
+    heartbeatMs = 1000,
+    leaseMs = heartbeatMs * 3,
+  } = options;
+  // The default channel is created on first use, so importing the plugin never opens
+  // one, and closed again once no singleton uses it
+  const ownsChannel = options.channel === undefined;
+  let channel = options.channel;
+  let unsubscribeFromChannel: (() => void) | null = null;
+  const elections = new Map<string, Election>();
+  const sources = new Map<string, PauseSource>();
+
+  const post = (type: LeaderMessage["type"], name: string): void =>
+    channel?.postMessage({ type, name, from: tabId });
+
+  const notify = (election: Election): void =>
+    election.subscribers.forEach((onChange) => onChange());
+
+  const clearTimers = (election: Election): void => {
+    if (election.claimTimer) {
+      clearTimeout(election.claimTimer);
+      election.claimTimer = null;
+    }
+    if (election.leaseTimer) {
+      clearTimeout(election.leaseTimer);
+      election.leaseTimer = null;
+    }
+    if (election.heartbeatTimer) {
+      clearInterval(election.heartbeatTimer);
+      election.heartbeatTimer = null;
+    }
+  };
+
+  const lead = (name: string, election: Election): void => {
+    clearTimers(election);
+    election.isLeader = true;
+    election.leaderId = tabId;
+    post("leader", name);
+    election.heartbeatTimer = setInterval(
+      () => post("leader", name),
+      heartbeatMs,
+    );
+    notify(election);
+  };
+
+  const claim = (name: string, election: Election): void => {
+    clearTimers(election);
+    election.leaderId = null;
+    election.claimTimer = setTimeout(() => {
+      election.claimTimer = null;
+      if (election.leaderId === null) {
+        lead(name, election);
+      }
+    }, claimTimeoutMs);
+    post("claim", name);
+  };
+
+  // No tab leads anymore: claim the singleton, unless nothing here would run it
+  const claimIfActive = (name: string, election: Election): void => {
+    if (election.active) {
+      claim(name, election);
+    } else {
+      clearTimers(election);
+      election.leaderId = null;
+    }
+  };
+
+  // Another tab leads. Claim again if it goes quiet.
+  const follow = (name: string, election: Election, leaderId: string): void => {
+    const wasLeader = election.isLeader;
+    clearTimers(election);
+    election.isLeader = false;
+    election.leaderId = leaderId;
+    election.leaseTimer = setTimeout(() => {
+      election.leaseTimer = null;
+      claimIfActive(name, election);
+    }, leaseMs);
+    if (wasLeader) {
+      notify(election);
+    }
+  };
+
+  const handleMessage = ({ type, name, from }: LeaderMessage): void => {
+    const election = elections.get(name);
+    if (!election || from === tabId) {
+      return;
+    }
+    if (type === "claim") {
+      if (election.isLeader) {
+        post("leader", name);
+      }
+    } else if (type === "leader") {
+      // Two tabs claimed at the same moment: the lowest id keeps leading
+      if (!election.isLeader || from < tabId) {
+        follow(name, election, from);
+      } else {
+        post("leader", name);
+      }
+    } else if (election.leaderId === from) {
+      claimIfActive(name, election);
+    }
+  };
+
+  const release = (name: string, election: Election): void => {
+    post("release", name);
+    election.isLeader = false;
+    notify(election);
+  };
+
+  // Leaving the page releases everything this tab leads, so another tab takes over
+  // right away instead of waiting for the lease to run out. Should the page come back
+  // from the back/forward cache, the pending claims pick up from there.
+  const handlePageHide = (): void => {
+    elections.forEach((election, name) => {
+      if (election.isLeader) {
+        release(name, election);
+        claimIfActive(name, election);
+      }
+    });
+  };
+
+  const connect = (): void => {
+    if (ownsChannel) {
+      channel = createBroadcastLeaderChannel();
+    }
+    unsubscribeFromChannel = channel?.subscribe(handleMessage) ?? null;
+    if (typeof window !== "undefined") {
+      window.addEventListener("pagehide", handlePageHide);
+    }
+  };
+
+  const disconnect = (): void => {
+    unsubscribeFromChannel?.();
+    unsubscribeFromChannel = null;
+    if (ownsChannel) {
+      channel?.close?.();
+      channel = undefined;
+    }
+    if (typeof window !== "undefined") {
+      window.removeEventListener("pagehide", handlePageHide);
+    }
+  };
+
+  const start = (name: string): Election => {
+    if (elections.size === 0) {
+      connect();
+    }
+    const election: Election = {
+      subscribers: new Set(),
+      active: true,
+      isLeader: false,
+      leaderId: null,
+      claimTimer: null,
+      leaseTimer: null,
+      heartbeatTimer: null,
+    };
+    elections.set(name, election);
+    if (channel) {
+      claim(name, election);
+    } else {
+      // no other tabs to ask
+      election.isLeader = true;
+      election.leaderId = tabId;
+    }
+    return election;
+  };
+
+  const stop = (name: string, election: Election): void => {
+    clearTimers(election);
+    elections.delete(name);
+    if (election.isLeader) {
+      post("release", name);
+    }
+    if (elections.size === 0) {
+      disconnect();
+    }
+  };
+
+  return {
+    getSource: (name) => {
+      let source = sources.get(name);
+      if (!source) {
+        source = {
+          name: `singleton:${name}`,
+          subscribe: (onChange) => {
+            const election = elections.get(name) ?? start(name);
+            election.subscribers.add(onChange);
+            return () => {
+              election.subscribers.delete(onChange);
+              // Wait a tick before leaving the election, so replacing the disposable
+              // by key doesn't hand leadership to another tab
+              Promise.resolve().then(() => {
+                if (
+                  election.subscribers.size === 0 &&
+                  elections.get(name) === election
+                ) {
+                  stop(name, election);
+                }
+              });
+            };
+          },
+          shouldPause: () => !elections.get(name)?.isLeader,
+        };
+        sources.set(name, source);
+      }
+      return source;
+    },
+    setActive: (name, active) => {
+      const election = elections.get(name);
+      if (!election || election.active === active || !channel) {
+        return;
+      }
+      election.active = active;
+      if (active) {
+        if (!election.isLeader && election.leaderId === null) {
+          claim(name, election);
+        }
+      } else if (election.claimTimer) {
+        clearTimers(election);
+        election.leaderId = null;
+      } else if (election.isLeader) {
+        // Wait a tick, so a pause that is lifted right away (e.g. by strict mode)
+        // doesn't hand leadership to another tab
+        Promise.resolve().then(() => {
+          if (
+            !election.active &&
+            election.isLeader &&
+            elections.get(name) === election
+          ) {
+            clearTimers(election);
+            election.leaderId = null;
+            release(name, election);
+          }
+        });
+      }
+    },
+  };
+};
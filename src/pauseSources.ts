@@ -0,0 +1,213 @@
+/**
+ * Something that can ask disposables to pause, like the page being hidden or the
+ * network going offline. Each source is attached once, while at least one logic or
+ * disposable uses it, and detached again when the last one is gone.
+ */
+export type PauseSource = {
+  /** Shown in logs and introspection */
+  name: string;
+  /** Start listening. Call `onChange` whenever `shouldPause()` may have changed. */
+  subscribe: (onChange: () => void) => () => void;
+  /** Whether disposables using this source should currently be paused */
+  shouldPause: () => boolean;
+};
+
+export type VisibilityPauseSourceOptions = {
+  /**
+   * How long the page has to stay hidden before pausing. Showing the page again
+   * within that time cancels the pause, so quick tab switches don't tear anything down.
+   */
+  hideDelayMs?: number;
+};
+
+const noop = (): void => {};
+
+// Sources can be created anywhere, e.g. while rendering on the server or in a worker,
+// and simply never pause where the APIs they listen to don't exist
+const hasDocument = (): boolean => typeof document !== "undefined";
+const hasWindow = (): boolean => typeof window !== "undefined";
+
+/**
+ * Creates a source that pauses while the page is hidden (`document.hidden`).
+ * Never pauses where there is no `document`.
+ */
+export const createVisibilityPauseSource = ({
+  hideDelayMs = 0,
+}: VisibilityPauseSourceOptions = {}): PauseSource => {
+  if (hideDelayMs <= 0) {
+    return {
+      name: "visibility",
+      subscribe: (onChange) => {
+        if (!hasDocument()) {
+          return noop;
+        }
+        document.addEventListener("visibilitychange", onChange);
+        return () =>
+          document.removeEventListener("visibilitychange", onChange);
+      },
+      shouldPause: () => hasDocument() && document.hidden,
+    };
+  }
+
+  const subscribers = new Set<() => void>();
+  let paused = false;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+
+  const notify = (): void => subscribers.forEach((onChange) => onChange());
+
+  const handleVisibilityChange = (): void => {
+    if (document.hidden) {
+      if (!paused && !timer) {
+        timer = setTimeout(() => {
+          timer = null;
+          paused = true;
+          notify();
+        }, hideDelayMs);
+      }
+      return;
+    }
+
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (paused) {
+      paused = false;
+      notify();
+    }
+  };
+
+  return {
+    name: "visibility",
+    subscribe: (onChange) => {
+      if (!hasDocument()) {
+        return noop;
+      }
+      subscribers.add(onChange);
+      if (subscribers.size === 1) {
+        document.addEventListener("visibilitychange", handleVisibilityChange);
+        handleVisibilityChange();
+      }
+
+      return () => {
+        subscribers.delete(onChange);
+        if (subscribers.size === 0) {
+          document.removeEventListener(
+            "visibilitychange",
+            handleVisibilityChange,
+          );
+          if (timer) {
+            clearTimeout(timer);
+          }
+          timer = null;
+          paused = false;
+        }
+      };
+    },
+    shouldPause: () => paused,
+  };
+};
+
+/** Pauses as soon as the page is hidden (`document.hidden`) */
+export const visibilityPauseSource: PauseSource = createVisibilityPauseSource();
+
+/**
+ * Pauses while the browser is offline (`navigator.onLine === false`). Listens on
+ * `globalThis`, so it works in workers too.
+ */
+export const offlinePauseSource: PauseSource = {
+  name: "offline",
+  subscribe: (onChange) => {
+    if (typeof globalThis.addEventListener !== "function") {
+      return noop;
+    }
+    globalThis.addEventListener("online", onChange);
+    globalThis.addEventListener("offline", onChange);
+    return () => {
+      globalThis.removeEventListener("online", onChange);
+      globalThis.removeEventListener("offline", onChange);
+    };
+  },
+  shouldPause: () =>
+    typeof navigator !== "undefined" && navigator.onLine === false,
+};
+
+export type IdlePauseSourceOptions = {
+  /** How long without user activity before pausing, defaults to one minute */
+  timeoutMs?: number;
+  /** Window events that count as user activity */
+  activityEvents?: string[];
+};
+
+const DEFAULT_ACTIVITY_EVENTS = [
+  "mousemove",
+  "mousedown",
+  "keydown",
+  "scroll",
+  "touchstart",
+  "wheel",
+];
+
+/**
+ * Creates a source that pauses after `timeoutMs` without user activity and resumes
+ * on the next activity. Create it once and share the instance between disposables.
+ * Never pauses where there is no `window` to watch for activity.
+ */
+export const createIdlePauseSource = ({
+  timeoutMs = 60_000,
+  activityEvents = DEFAULT_ACTIVITY_EVENTS,
+}: IdlePauseSourceOptions = {}): PauseSource => {
+  const subscribers = new Set<() => void>();
+  let idle = false;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+
+  const notify = (): void => subscribers.forEach((onChange) => onChange());
+
+  const goIdle = (): void => {
+    timer = null;
+    idle = true;
+    notify();
+  };
+
+  const handleActivity = (): void => {
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(goIdle, timeoutMs);
+    if (idle) {
+      idle = false;
+      notify();
+    }
+  };
+
+  return {
+    name: "idle",
+    subscribe: (onChange) => {
+      if (!hasWindow()) {
+        return noop;
+      }
+      subscribers.add(onChange);
+      if (subscribers.size === 1) {
+        activityEvents.forEach((event) =>
+          window.addEventListener(event, handleActivity, { passive: true }),
+        );
+        handleActivity();
+      }
+
+      return () => {
+        subscribers.delete(onChange);
+        if (subscribers.size === 0) {
+          activityEvents.forEach((event) =>
+            window.removeEventListener(event, handleActivity),
+          );
+          if (timer) {
+            clearTimeout(timer);
+          }
+          timer = null;
+          idle = false;
+        }
+      };
+    },
+    shouldPause: () => idle,
+  };
+};
@@ -0,0 +1,129 @@
+/** What a setup added that its cleanup didn't remove again */
+export type SideEffectLeftovers = {
+  /** Event listeners on `window` and `document` */
+  listeners: number;
+  /** Timers from `setTimeout` and `setInterval` that were never cleared */
+  timers: number;
+};
+
+export type SideEffectTracker = {
+  /**
+   * Runs `fn` and records the listeners and timers it adds and removes. Can be called
+   * several times, e.g. once around setup and once around cleanup.
+   */
+  track: <T>(fn: () => T) => T;
+  /** Everything added while tracking that wasn't removed while tracking */
+  leftovers: () => SideEffectLeftovers;
+};
+
+type TrackedListener = {
+  target: EventTarget;
+  type: string;
+  listener: unknown;
+  capture: boolean;
+};
+
+const restoreProperty = (
+  target: object,
+  name: string,
+  own: PropertyDescriptor | undefined,
+): void => {
+  if (own) {
+    Object.defineProperty(target, name, own);
+  } else {
+    delete (target as any)[name];
+  }
+};
+
+const isCapture = (options?: boolean | EventListenerOptions): boolean =>
+  typeof options === "boolean" ? options : !!options?.capture;
+
+/**
+ * Tracks global side effects for dev mode's strict mode. Listeners are matched like
+ * the DOM matches them, so removing a different function than the one that was added
+ * counts as a leftover. Only meant for development: while tracking, it swaps out
+ * `addEventListener` and `removeEventListener` of `window` and `document`, and the
+ * global timer functions.
+ */
+export const createSideEffectTracker = (): SideEffectTracker => {
+  const listeners: TrackedListener[] = [];
+  const timers = new Set<unknown>();
+
+  const patchListeners = (target: EventTarget): (() => void) => {
+    const { addEventListener, removeEventListener } = target;
+    // usually inherited, but someone else may have patched them on the object itself
+    const ownAdd = Object.getOwnPropertyDescriptor(target, "addEventListener");
+    const ownRemove = Object.getOwnPropertyDescriptor(
+      target,
+      "removeEventListener",
+    );
+    target.addEventListener = (type, listener, options) => {
+      listeners.push({ target, type, listener, capture: isCapture(options) });
+      addEventListener.call(target, type, listener, options);
+    };
+    target.removeEventListener = (type, listener, options) => {
+      const capture = isCapture(options);
+      const index = listeners.findIndex(
+        (tracked) =>
+          tracked.target === target &&
+          tracked.type === type &&
+          tracked.listener === listener &&
+          tracked.capture === capture,
+      );
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+      removeEventListener.call(target, type, listener, options);
+    };
+    return () => {
+      restoreProperty(target, "addEventListener", ownAdd);
+      restoreProperty(target, "removeEventListener", ownRemove);
+    };
+  };
+
+  const patchTimers = (): (() => void) => {
+    const scope = globalThis as any;
+    const originals = {
+      setTimeout: scope.setTimeout,
+      setInterval: scope.setInterval,
+      clearTimeout: scope.clearTimeout,
+      clearInterval: scope.clearInterval,
+    };
+    const start =
+      (original: (...args: any[]) => unknown) =>
+      (...args: any[]) => {
+        const id = original(...args);
+        timers.add(id);
+        return id;
+      };
+    const clear =
+      (original: (id: unknown) => void) =>
+      (id: unknown): void => {
+        timers.delete(id);
+        original(id);
+      };
+    scope.setTimeout = start(originals.setTimeout);
+    scope.setInterval = start(originals.setInterval);
+    scope.clearTimeout = clear(originals.clearTimeout);
+    scope.clearInterval = clear(originals.clearInterval);
+    return () => Object.assign(scope, originals);
+  };
+
+  return {
+    track: (fn) => {
+      const restores = [patchTimers()];
+      if (typeof window !== "undefined") {
+        restores.push(patchListeners(window));
+      }
+      if (typeof document !== "undefined") {
+        restores.push(patchListeners(document));
+      }
+      try {
+        return fn();
+      } finally {
+        restores.forEach((restore) => restore());
+      }
+    },
+    leftovers: () => ({ listeners: listeners.length, timers: timers.size }),
+  };
+};
@@ -0,0 +1,195 @@
+/**
+ * Helpers for testing logics that use disposables, available as
+ * `kea-disposables/testing`. They read the current kea context through the public
+ * introspection API and only touch the DOM to fake visibility changes, so they work
+ * the same with real and fake timers.
+ */
+import type { BuiltLogic, LogicWrapper } from "kea";
+import { getDisposablesLeftovers, getDisposablesSnapshot } from "./index";
+import type {
+  DisposableSnapshot,
+  LeaderChannel,
+  LeaderMessage,
+  PauseSource,
+} from "./index";
+
+type LogicLike = BuiltLogic | LogicWrapper;
+
+const setPageHidden = (hidden: boolean): void => {
+  Object.defineProperty(document, "hidden", {
+    configurable: true,
+    get: () => hidden,
+  });
+  Object.defineProperty(document, "visibilityState", {
+    configurable: true,
+    get: () => (hidden ? "hidden" : "visible"),
+  });
+  document.dispatchEvent(new Event("visibilitychange"));
+};
+
+/** Marks the page as hidden and fires `visibilitychange`, like switching to another tab */
+export const simulatePageHidden = (): void => setPageHidden(true);
+
+/** Marks the page as visible again and fires `visibilitychange` */
+export const simulatePageVisible = (): void => setPageHidden(false);
+
+export type FakePauseSource = PauseSource & {
+  /** Start pausing every disposable that uses this source */
+  pause: () => void;
+  /** Stop pausing, disposables resume */
+  resume: () => void;
+  /** How many kea contexts are subscribed right now, 0 once everything is cleaned up */
+  readonly subscriberCount: number;
+};
+
+/** A pause source you control from the test, for use in `pauseWhen` */
+export const createFakePauseSource = (name = "fake"): FakePauseSource => {
+  const subscribers = new Set<() => void>();
+  let paused = false;
+
+  const set = (nextPaused: boolean): void => {
+    if (paused !== nextPaused) {
+      paused = nextPaused;
+      subscribers.forEach((onChange) => onChange());
+    }
+  };
+
+  return {
+    name,
+    subscribe: (onChange) => {
+      subscribers.add(onChange);
+      return () => {
+        subscribers.delete(onChange);
+      };
+    },
+    shouldPause: () => paused,
+    pause: () => set(true),
+    resume: () => set(false),
+    get subscriberCount() {
+      return subscribers.size;
+    },
+  };
+};
+
+export type InMemoryLeaderNetwork = {
+  /**
+   * A channel for one more fake tab. Pass it as `leaderElection.channel`, or use it to
+   * play the other tabs yourself by posting and subscribing to messages.
+   */
+  connect: () => LeaderChannel;
+};
+
+/**
+ * Stands in for `BroadcastChannel` between fake tabs, for testing `singleton`
+ * disposables. Like the real thing, messages arrive asynchronously (after a
+ * microtask) and never at the tab that sent them.
+ */
+export const createInMemoryLeaderNetwork = (): InMemoryLeaderNetwork => {
+  const tabs = new Set<Set<(message: LeaderMessage) => void>>();
+
+  return {
+    connect: () => {
+      const listeners = new Set<(message: LeaderMessage) => void>();
+      tabs.add(listeners);
+      return {
+        postMessage: (message) => {
+          tabs.forEach((otherListeners) => {
+            if (otherListeners !== listeners) {
+              otherListeners.forEach((onMessage) =>
+                Promise.resolve().then(() => {
+                  // a tab that unsubscribed in the meantime doesn't get it anymore
+                  if (otherListeners.has(onMessage)) {
+                    onMessage(message);
+                  }
+                }),
+              );
+            }
+          });
+        },
+        subscribe: (onMessage) => {
+          listeners.add(onMessage);
+          return () => {
+            listeners.delete(onMessage);
+          };
+        },
+      };
+    },
+  };
+};
+
+// Also finds the path of a logic wrapper that has unmounted
+const getPathString = (logic: LogicLike): string =>
+  getDisposablesLeftovers(logic).logicPath;
+
+const getLiveDisposables = (logic: LogicLike): DisposableSnapshot[] =>
+  getDisposablesSnapshot()[getPathString(logic)] ?? [];
+
+/**
+ * Keys of the logic's live disposables, scoped ones included as "scope/key".
+ * Works after the logic unmounted too, when it is always empty.
+ */
+export const getDisposableKeys = (logic: LogicLike): string[] =>
+  getLiveDisposables(logic).map(({ key }) => key);
+
+type MatcherResult = { pass: boolean; message: () => string };
+
+/**
+ * Jest matchers, install them with `expect.extend(disposablesMatchers)`.
+ *
+ * - `expect(logic).toHaveActiveDisposable(key)`: the disposable exists and isn't paused
+ * - `expect(logic).toHaveNoLeakedDisposables()`: the logic has no live disposables left,
+ *   no cleanup failed and no async cleanup is still running, e.g. after it unmounted
+ *   or after calling `disposeAll()`
+ */
+export const disposablesMatchers = {
+  toHaveActiveDisposable(logic: LogicLike, key: string): MatcherResult {
+    const path = getPathString(logic);
+    const live = getLiveDisposables(logic);
+    const entry = live.find((disposable) => disposable.key === key);
+    const pass = !!entry && !entry.paused;
+    return {
+      pass,
+      message: () =>
+        pass
+          ? `expected logic ${path} not to have an active disposable "${key}"`
+          : entry
+            ? `expected disposable "${key}" of logic ${path} to be active, but it is paused by ${entry.pausedBy.join(", ")}`
+            : `expected logic ${path} to have a disposable "${key}", but it has ${JSON.stringify(live.map(({ key }) => key))}`,
+    };
+  },
+  toHaveNoLeakedDisposables(logic: LogicLike): MatcherResult {
+    const path = getPathString(logic);
+    const keys = getDisposableKeys(logic);
+    const { failedCleanups, pendingCleanups } = getDisposablesLeftovers(logic);
+    const problems = [
+      keys.length > 0 && JSON.stringify(keys),
+      failedCleanups.length > 0 &&
+        `failed cleanups of ${JSON.stringify(failedCleanups)}`,
+      pendingCleanups > 0 && `${pendingCleanups} async cleanups still running`,
+    ].filter(Boolean);
+    const pass = problems.length === 0;
+    return {
+      pass,
+      message: () =>
+        pass
+          ? `expected logic ${path} to have leaked disposables`
+          : `expected logic ${path} to have no leaked disposables, but found ${problems.join(", ")}`,
+    };
+  },
+};
+
+/**
+ * Types for the matchers. With `@types/jest`, add them to Jest's matchers:
+ *
+ * ```typescript
+ * declare global {
+ *     namespace jest {
+ *         interface Matchers<R> extends DisposablesMatchers<R> {}
+ *     }
+ * }
+ * ```
+ */
+export interface DisposablesMatchers<R = unknown> {
+  toHaveActiveDisposable: (key: string) => R;
+  toHaveNoLeakedDisposables: () => R;
+}